@@ -1,8 +1,4 @@
-/*
- * @TODO add task for updating container
- */
 var fs = require('fs');
-var jsBeautify = require('js-beautify').js_beautify;
 
 module.exports = function(grunt) {
 
@@ -44,12 +40,37 @@ module.exports = function(grunt) {
         footer: footer
       }
     },
+    esModule: {
+      options: {
+        build: {
+          src: './src/engagement-timer.js',
+          dest: './engagement-timer.esm.js'
+        },
+        // Named export: path on the EngagementTimer function
+        exports: {
+          adapters: 'adapters',
+          autoInit: 'autoInit',
+          dataLayer: 'reporters.dataLayer',
+          fromJSON: 'fromJSON',
+          ga4: 'reporters.ga4',
+          group: 'group',
+          reporters: 'reporters',
+          track: 'track',
+          use: 'use',
+          validate: 'validate'
+        },
+        footer: footer
+      }
+    },
     updateContainer: {
       options: {
         build: {
-          src: './engagement-timer.js',
-          dest: './luna-gtm-engagement-timer.json'
-        }
+          src: './engagement-timer.min.js',
+          dest: './luna-engagement-timer.json'
+        },
+        tag: 'CU - Engagement Timer - LunaMetrics Plugin',
+        // Custom HTML for the tag; the library replaces the /* engagement-timer.min.js */ line
+        template: './gtm/engagement-timer-tag.html'
       }
     }
   });
@@ -66,44 +87,70 @@ module.exports = function(grunt) {
 
   });
 
-  /*grunt.registerTask('updateContainer', ['Updating container import file'], function() {
+  // The source is a UMD, so the ES module gives it a module object to export to
+  grunt.registerTask('esModule', ['build the ES module'], function() {
 
     var options = this.options();
-    var oldContainer = require(options.build.dest);
-    var newScript = fs.readFileSync(options.build.src, 'utf-8');
-    var oldTag,
-        oldParameter,
-        i;
+    var data = fs.readFileSync(options.build.src, 'utf-8');
+    var lines = [
+      'var module = {exports: {}};',
+      '',
+      data,
+      '',
+      'var EngagementTimer = module.exports;',
+      '',
+      'export default EngagementTimer;',
+      'export {EngagementTimer};'
+    ];
 
-    for (i = 0; i < oldContainer.containerVersion.tag.length; i++) {
+    Object.keys(options.exports).forEach(function(name) {
 
-      if (oldContainer.containerVersion.tag[i].name === 'CU - Scroll Tracking - LunaMetrics Plugin') {
+      lines.push('export var ' + name + ' = EngagementTimer.' + options.exports[name] + ';');
 
-        oldTag = i;
-        break;
+    });
 
-      }
+    fs.writeFileSync(options.build.dest, lines.join('\n') + '\n' + options.footer);
+    console.log('built ES module');
 
-    }
-    for (i = 0; i < oldContainer.containerVersion.tag[oldTag].parameter.length; i++) {
+  });
 
-      if (oldContainer.containerVersion.tag[oldTag].parameter[i].key === 'html') {
+  grunt.registerTask('updateContainer', ['update the container import file'], function() {
 
-        oldParameter = i;
-        break;
+    var options = this.options();
+    var container = grunt.file.readJSON(options.build.dest);
+    var script = fs.readFileSync(options.build.src, 'utf-8').replace(/\r\n/g, '\n');
+    var template = fs.readFileSync(options.template, 'utf-8');
+    var tag = container.containerVersion.tag.filter(function(candidate) {
 
-      }
+      return candidate.name === options.tag;
+
+    })[0];
+    var html = tag && tag.parameter.filter(function(parameter) {
+
+      return parameter.key === 'html';
+
+    })[0];
 
+    if (!html) {
+      grunt.fail.warn('No custom HTML tag named ' + options.tag + ' in ' + options.build.dest);
     }
 
-    oldContainer.containerVersion.tag[oldTag].parameter[oldParameter].value = '<script type="text/javascript" id="gtm-scroll-tracking">\n' +
-      newScript +
-      '\n</script>';
+    // A replacer function, so $ in the script isn't read as a replacement pattern
+    html.value = template.trim().replace(/^([ \t]*)\/\* engagement-timer\.min\.js \*\/$/m, function(marker, indent) {
 
-    fs.writeFileSync(options.build.dest, jsBeautify(JSON.stringify(oldContainer)));
+      return script.split('\n').map(function(line) {
 
-  });*/
+        return line ? indent + line : line;
+
+      }).join('\n');
+
+    });
+
+    fs.writeFileSync(options.build.dest, JSON.stringify(container, null, 4));
+    console.log('updated container');
+
+  });
 
-  grunt.registerTask('default', ['jshint', 'appendFooter', 'uglify', /*'updateContainer'*/]);
+  grunt.registerTask('default', ['jshint', 'appendFooter', 'uglify', 'esModule', 'updateContainer']);
 
 };
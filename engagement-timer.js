@@ -1,8 +1,8 @@
 /**
  * Engagement Timer
  *
- * Measure time interacting with a given context. Pair with a visibility tracker
- * for scroll-aware tracking.
+ * Measure time interacting with a given context. Set visibleThreshold to only
+ * count time while the context is scrolled into view.
  *
  * @example
  * ```javascript
@@ -10,12 +10,23 @@
  *   each: [5 * 60, 10*60],
  *   every: [12],
  *   context: '#content',
+ *   visibleThreshold: 0.5,
  *   idleAfter: 5,
  *   engagementEvents: ['click', 'mousedown', 'touchstart', 'keydown', 'scroll'],
  *   startTime: +new Date,
  *   idleOnVisibilityChange: true,
+ *   media: true,
+ *   depth: [25, 50, 75, 100],
  *   max: 60 * 15,
- *   min: 10
+ *   min: 10,
+ *   persist: {
+ *     scope: 'path',
+ *     timeout: 30 * 60
+ *   },
+ *   router: true,
+ *   transport: {
+ *     url: '/collect/engagement'
+ *   }
  * });
  *
  * timer.on('interval', function (evt) {
@@ -23,6 +34,12 @@
  *   notifySomeService(evt.data.time);
  *
  * });
+ *
+ * timer.on('end', function (evt) {
+ *
+ *   notifySomeService(evt.data.time, evt.data.idleTime, evt.data.wallTime);
+ *
+ * });
  * ```
  *
  * Tested on:
@@ -33,46 +50,233 @@
  * - Opera 48
  * - Safari 11
  */
-(function (document, window) {
+/* global define, module */
+(function (root, factory) {
+    'use strict';
+
+    var previous = root.EngagementTimer;
+    var api;
+
+    if (typeof module === 'object' && module.exports) {
+
+        module.exports = factory(root.document, root);
+
+    } else if (typeof define === 'function' && define.amd) {
+
+        define([], function () {
+
+            return factory(root.document, root);
+
+        });
+
+    } else {
+
+        api = factory(root.document, root);
+
+        /**
+         * Puts back whatever window.EngagementTimer was before this copy
+         * loaded, so several copies can run side by side
+         *
+         * @returns {function} EngagementTimer
+         */
+        api.noConflict = function () {
+
+            root.EngagementTimer = previous;
+
+            return api;
+
+        };
+        root.EngagementTimer = api;
+
+    }
+
+})(typeof self === 'undefined' ? {} : self, function (document, window) {
     'use strict';
 
-    window.EngagementTimer = window.EngagementTimer || EngagementTimer;
+    var MEDIA_EVENTS = [
+        'play',
+        'pause',
+        'ended'
+    ];
+
+    var DATA_LAYER_FIELDS = [
+        'context',
+        'engagedTime',
+        'idleTime',
+        'markType',
+        'path',
+        'wallTime'
+    ];
+
+    var globalPlugins = [];
+
+    var KNOWN_OPTIONS = [
+        'adapter',
+        'clock',
+        'context',
+        'depth',
+        'each',
+        'engagementEvents',
+        'every',
+        'heartbeat',
+        'idleAfter',
+        'idleOnVisibilityChange',
+        'max',
+        'media',
+        'min',
+        'persist',
+        'plugins',
+        'router',
+        'sections',
+        'startTime',
+        'sync',
+        'transport',
+        'validation',
+        'visibleThreshold',
+        'weights'
+    ];
+
+    // Touch events only have on* properties on touch devices
+    var TOUCH_EVENTS = [
+        'touchstart',
+        'touchmove',
+        'touchend',
+        'touchcancel'
+    ];
+
+    var ATTRIBUTE_OPTIONS = {
+        'each': 'each',
+        'events': 'engagementEvents',
+        'every': 'every',
+        'idle-after': 'idleAfter',
+        'max': 'max',
+        'min': 'min'
+    };
+
+    var GA4_PARAMS = {
+        context: 'engagement_context',
+        engagementTime: 'engagement_time_msec',
+        idleCount: 'engagement_idle_count',
+        mark: 'engagement_mark',
+        markType: 'engagement_mark_type'
+    };
+
+    /**
+     * Measures with performance.now where available, so changes to the
+     * system clock don't skew tracked time. Globals are looked up on each
+     * call so they can be replaced after the script loads, and work in
+     * Node & workers as well as windows
+     */
+    var defaultClock = {
+        clearTimeout: clearWindowTimeout,
+        now: getMonotonicTime,
+        setTimeout: setWindowTimeout
+    };
+
+    /**
+     * Connects timers to the page: where engagement comes from, when the
+     * page is hidden, left or navigated, and where state is saved. Methods
+     * that subscribe return a function that unsubscribes
+     */
+    var browserAdapter = {
+        capture: captureFrom,
+        find: findElement,
+        getLocation: getWindowLocation,
+        getRoot: getDocument,
+        getStorage: getSessionStorage,
+        listen: listenTo,
+        measureDepth: getScrollDepth,
+        onExit: onPageExit,
+        onHide: onPageHide,
+        onNavigate: onRouteChange,
+        onScroll: onPageScroll,
+        onVisibilityChange: onTabVisibilityChange,
+        send: sendBeacon,
+        watchViewport: watchVisibility
+    };
+
+    /**
+     * Used where there's no document, e.g. Node or a worker; the timer
+     * only engages, pauses & ends when its methods are called
+     */
+    var headlessAdapter = {
+        capture: ignore,
+        find: findNothing,
+        getLocation: getBlankLocation,
+        getRoot: findNothing,
+        getStorage: findNothing,
+        listen: ignore,
+        measureDepth: measureNothing,
+        onExit: ignore,
+        onHide: ignore,
+        onNavigate: ignore,
+        onScroll: ignore,
+        onVisibilityChange: ignore,
+        send: ignore,
+        watchViewport: ignore
+    };
 
     /**
      * @name Interval
      * @constructor
      *
-     * @param {function} fn
+     * Ticks are scheduled against when they were due rather than when the
+     * last one ran, so a late tick doesn't push back the ones after it
+     *
+     * @param {function} fn - called with how many milliseconds late the tick is
      * @param {number} interval - greater than 1000
+     * @param {object} clock - schedules the ticks
      */
-    function Interval(fn, interval) {
+    function Interval(fn, interval, clock) {
 
         this._interval = interval;
         this._fn = fn;
+        this._clock = clock;
 
+    }
+
+    /**
+     * @param {number} delay - milliseconds until the first tick
+     *
+     * @returns {Interval}
+     */
+    Interval.prototype.start = function (delay) {
+
+        this._expected = this._clock.now() + Math.max(0, delay);
         this.tick();
 
-    }
+        return this;
+
+    };
 
     Interval.prototype.clear = function () {
 
         this._cleared = true;
+        this._clock.clearTimeout(this._timeout);
 
     };
 
     Interval.prototype.tick = function () {
 
+        this._timeout = this._clock.setTimeout(function () {
 
-        setTimeout(function () {
+            var now = this._clock.now();
+            var drift = now - this._expected;
 
-            if (this._cleared) {
-                return;
+            // Ticks missed while throttled are skipped, not run back to back
+            this._expected += this._interval;
+
+            while (this._interval > 0 && this._expected <= now) {
+                this._expected += this._interval;
             }
 
-            this._fn();
-            this.tick();
+            this._fn(drift);
+
+            if (!this._cleared) {
+                this.tick();
+            }
 
-        }.bind(this), this._interval);
+        }.bind(this), Math.max(0, this._expected - this._clock.now()));
 
     };
 
@@ -83,141 +287,286 @@
      * @constructor
      *
      * @param opts {object} optsurations for timer
-     * @param opts.each {number[]} specific times to emit an event at, e.g. 4, 15
-     * @param opts.every {number[]} multiples to emit events every n seconds
+     * @param opts.each {Array<number|object|function>} specific times to emit an event at, e.g. 4, 15, rules that
+     * expand into times, e.g. {from: 10, to: 300, step: 10} or {from: 10, to: 640, factor: 2}, or functions called
+     * with the previous time (0 at first) that return the next time, or nothing to stop
+     * @param opts.every {Array<number|object>} multiples to emit events every n seconds, or {n: 10, until: 120} to stop
+     * after a time
+     * @param [opts.heartbeat] {number} seconds of engaged time between heartbeat events, which report the engaged time
+     * since the last one and are also sent on pause, idle, hide, exit, reset & destroy
      * @param [opts.idleAfter] {number} number of seconds to wait before going idle and tracking pauses
      * @param [opts.min] {number} minimum time in seconds before beginning to track events
      * @param [opts.max] {number} maximum time in seconds to track events
      * @param [opts.engagementEvents] {string[]} events to bind to that prevent idling
      * @param [opts.idleOnVisibilityChange] {boolean} pause the timer when the tab is not visible
-     * @param [opts.startTime] {number} starting time to use when calculating time passed (defaults to when script runs or domInteractive timing)
+     * @param [opts.weights] {object} points per event type in the context, e.g. {click: 3, keydown: 5, scroll: 1}, to
+     * score how actively each interval was spent
+     * @param [opts.media] {boolean} treat audio & video playing in the context as engagement and report watch time
+     * @param [opts.startTime] {number} epoch time in milliseconds to start counting from (defaults to when the timer is created)
+     * @param [opts.clock] {object} now, setTimeout & clearTimeout to measure and schedule with instead of performance.now and the window timers
+     * @param [opts.adapter] {object} methods to use instead of those in EngagementTimer.adapters.browser (or .headless
+     * without a document), e.g. to supply engagement & visibility from a webview
      * @param [opts.context] {HTMLElement|string} DOM element (or selector) to listen for engagementEvents on (defaults to document)
+     * @param [opts.visibleThreshold] {number} share of the context, from 0 to 1, that must be in the viewport for time to count
+     * @param [opts.depth] {number[]|boolean} scroll depths, as percentages of the context, to emit events at, or true to only report depth
+     * @param [opts.persist] {boolean|object} save tracked time, fired marks and the remaining schedule between page loads
+     * @param [opts.persist.storage] {Storage} object implementing getItem & setItem (defaults to sessionStorage)
+     * @param [opts.persist.scope] {string} 'path' to track each page separately (default) or 'site' to share time across the site
+     * @param [opts.persist.id] {string} key to share time under instead of the scope, e.g. an article ID
+     * @param [opts.persist.timeout] {number} seconds since the last save before saved state is discarded (defaults to 30 minutes)
+     * @param [opts.router] {boolean|object} treat history.pushState, replaceState & popstate navigations as new views
+     * @param [opts.router.hash] {boolean} also treat hash changes as new views, for hash-based routers
+     * @param [opts.transport] {object} send the end event to an endpoint in a way that survives unload
+     * @param opts.transport.url {string} endpoint to send to with navigator.sendBeacon (or fetch with keepalive)
+     * @param [opts.transport.serialize] {function} turns the end event data into the request body (defaults to JSON.stringify)
+     * @param [opts.sync] {boolean} call handlers as soon as events happen instead of on the next turn of the event loop
+     * @param [opts.plugins] {object[]} plugins for this timer, after any added with EngagementTimer.use
+     * @param [opts.validation] {string|boolean} 'warn' to log invalid options to the console (default), 'strict' to
+     * throw on them or false to ignore them. Options the timer can't work with always throw
      *
      * @emits EngagementTimer#interval
+     * @emits EngagementTimer#heartbeat
      * @emits EngagementTimer#reset
      * @emits EngagementTimer#start
+     * @emits EngagementTimer#resume
      * @emits EngagementTimer#pause
      * @emits EngagementTimer#idle
+     * @emits EngagementTimer#summary
+     * @emits EngagementTimer#end
+     * @emits EngagementTimer#visible
+     * @emits EngagementTimer#hidden
+     * @emits EngagementTimer#depth
+     * @emits EngagementTimer#error
+     * @emits EngagementTimer#destroy
      */
-    function EngagementTimer(opts) {
-
-        if (!opts.each && !opts.every) {
-            throw new Error('Requires opts.each or opts.every.');
-        }
-
-        if (
-            (opts.idleAfter || opts.engagementEvents) &&
-            !(opts.idleAfter && opts.engagementEvents && opts.engagementEvents.length)
-        ) {
-            throw new Error('Configure opts.idleAfter & opts.engagementEvents for idling.');
-        }
+    function EngagementTimer(opts, group) {
 
         if (!(this instanceof EngagementTimer)) {
-            return new EngagementTimer(opts);
+            return new EngagementTimer(opts, group);
         }
 
-        this._context = opts.context || document;
+        this._plugins = getPlugins(opts);
+        opts = applyPluginOptions(opts, this._plugins);
+        reportProblems(validateOptions(opts, this._plugins), opts.validation);
+
+        this._adapter = getAdapter(opts);
+        this._context = opts.context || this._adapter.getRoot();
 
         if (typeof this._context === 'string') {
-            this._context = document.querySelector(opts.context);
-        }
-        if (!this._context) {
-            throw new Error('Unable to find context ' + opts.context);
+            this._context = this._adapter.find(opts.context);
         }
 
+        var schedule = parseSchedule(opts);
+
+        this._opts = opts;
+        this._contextSelector = typeof opts.context === 'string' ? opts.context : null;
         this._max = opts.max * 1000 || Infinity;
         this._min = opts.min * 1000 || 0;
-        this._every = (opts.every || []).map(function (n) {
+        this._every = schedule.every.map(function (n) {
 
             return opts.min ? (opts.min % n) + n : 0;
 
         });
-        this._every.initialValues = cleanMarks(opts.every || []);
-        this._each = cleanMarks(opts.each || []);
+        this._every.initialValues = cleanMarks(schedule.every);
+        this._each = cleanMarks(schedule.each);
         this._each.initialValues = this._each.slice(0);
+        this._generators = schedule.generators.map(function (generator) {
+
+            return {
+                fn: generator.fn,
+                next: nextMark(generator.fn, 0),
+                rule: generator.rule,
+                type: generator.type
+            };
+
+        });
+
+        this._heartbeat = opts.heartbeat * 1000 || null;
+        this._reported = 0;
+        this._restoredTime = 0;
 
-        this._minInterval = 1000 * setGCD(this._every.initialValues.concat(this._each.initialValues));
+        var marks = this._every.initialValues.concat(this._each.initialValues, cleanMarks([opts.heartbeat]));
+
+        // Generated marks can land on any second, and no mark is checked more than once a second
+        this._minInterval = this._generators.length ? 1000 : Math.max(1000, Math.round(1000 * setGCD(marks)));
         this._idleAfter = opts.idleAfter * 1000 + 1 || null;
-        this._lastTick = opts.startTime;
-        this._trackedTime = this._lastTick ? +new Date - this._lastTick : 0;
+        this._clock = opts.clock || defaultClock;
+        this._lastTick = this._clock.now() - (opts.startTime ? Math.max(0, +new Date - opts.startTime) : 0);
+        this._startedAt = this._lastTick;
+        this._trackedTime = this._clock.now() - this._lastTick;
 
         this._tickElapsed = 0;
+        this._pausedTime = {
+            hidden: 0,
+            idle: 0
+        };
+        this._pausedAt = null;
+        this._drift = {
+            max: 0,
+            ticks: 0,
+            total: 0
+        };
+        this._idleEpisodes = 0;
         this._running = false;
+        this._ended = false;
         this._offset = 0;
         this._events = {};
+        this._sync = Boolean(opts.sync);
         this._cache = {};
+        this._teardown = [];
+        this._group = group || null;
+        this._persist = opts.persist ? getPersistConfig(opts.persist, this._adapter) : null;
+        this._transport = opts.transport || null;
+
+        if (this._persist) {
+            this._restore(loadState(this._persist, this._getSchedule()));
+        }
+
+        this._engagementEvents = opts.engagementEvents || [];
+        this._mediaEvents = opts.media ? MEDIA_EVENTS : [];
+        this._media = [];
+        this._onMediaEvent = this._onMedia.bind(this);
+        this._weights = opts.weights || null;
+        this._onWeightedEvent = this._onWeighted.bind(this);
+        this._score = 0;
+        this._windowScore = 0;
+        this._visibleThreshold = opts.visibleThreshold;
+        this._depthMarks = opts.depth ? cleanMarks(opts.depth === true ? [] : opts.depth) : null;
+        this._depth = 0;
+        this._maxDepth = 0;
+        this._depthCache = {};
+        this._scrolled = null;
+
+        // Starts on the first engagement, then resets the idle timeout at most twice per idleAfter
+        this._engage = throttle(function () {
+
+            if (this._inView === false) {
+                return;
+            }
 
-        var throttledRestart = throttle(function () {
+            this._hook('engage');
 
             if (!this._running) {
                 this.start();
             }
 
-            this._resetIdleTimeout();
+            if (this._idleAfter) {
+                this._resetIdleTimeout();
+            }
 
-        }.bind(this), this._idleTimeout / 2);
-        var boundHandler = function (evt) {
+        }.bind(this), this._idleAfter ? this._idleAfter / 2 : 1000, this._clock);
 
-            this._context.addEventListener(evt, throttledRestart);
+        var context = this._context;
 
-        }.bind(this);
-        var pausedOnHide;
+        this._context = null;
+        this._bindContext(context);
+
+        if (opts.router) {
+
+            this._routeHash = Boolean(opts.router.hash);
+            this._path = getPath(this._adapter, this._routeHash);
 
-        if (opts.engagementEvents) {
-            opts.engagementEvents.forEach(boundHandler);
         }
 
-        if (opts.idleOnVisibilityChange) {
+        // Timers in a group share the group's page-level listeners
+        if (!this._group) {
 
-            onVisibilityChange(function (isHidden) {
+            if (this._persist) {
+                this._teardown.push(this._adapter.onHide(this._save.bind(this)));
+            }
 
-                if (isHidden && this._running) {
+            if (opts.router) {
+                this._teardown.push(this._adapter.onNavigate(this._onRouteChange.bind(this)));
+            }
 
-                    this.pause();
-                    pausedOnHide = true;
+            this._teardown.push(this._adapter.onExit(this._end.bind(this), this._onReturn.bind(this)));
 
-                } else if (!isHidden && !this._running && pausedOnHide) {
+            if (opts.idleOnVisibilityChange) {
+                this._teardown.push(this._adapter.onVisibilityChange(this._onVisibilityChange.bind(this)));
+            }
 
-                    this.start();
+        }
 
-                }
+        if (this._depthMarks) {
 
-            }.bind(this));
+            this._scrolled = throttle(this._onScroll.bind(this), 100, this._clock);
+            this._teardown.push(this._adapter.onScroll(this._scrolled));
+            this._initialDepth = this._clock.setTimeout(this._onScroll.bind(this), 0);
 
         }
 
         if (this._trackedTime) {
-            setTimeout(this._tick.bind(this), 0);
+            this._initialTick = this._clock.setTimeout(this._tick.bind(this), 0);
         }
 
+        this._hook('init');
+
     }
 
     EngagementTimer.prototype._startTimer = function () {
 
-        this._Interval = new Interval(function () {
+        this._Interval = new Interval(function (drift) {
 
-            this._tick();
-            this._Interval.clear();
-            this._Interval = new Interval(this._tick.bind(this), this._minInterval);
+            this._tick(drift);
             this._tickElapsed = 0;
 
-        }.bind(this), Math.min(this._minInterval - this._tickElapsed, this._minInterval));
+        }.bind(this), this._minInterval, this._clock);
+
+        // The first tick makes up the rest of the interval that was cut short by pausing
+        this._Interval.start(Math.min(this._minInterval - this._tickElapsed, this._minInterval));
+
+    };
+
+    /**
+     * @param {number} [drift] - milliseconds the scheduled tick ran late
+     */
+    EngagementTimer.prototype._tick = function (drift) {
+
+        this._hook('beforeTick');
+        this._advance(drift);
+
+        if (!this._destroyed) {
+            this._hook('afterTick');
+        }
 
     };
 
-    EngagementTimer.prototype._tick = function () {
+    /**
+     * Adds the time since the last tick and emits any marks reached
+     *
+     * @param {number} [drift]
+     */
+    EngagementTimer.prototype._advance = function (drift) {
+
+        var d = this._clock.now();
+
+        if (isDefined(drift)) {
+
+            this._drift.ticks += 1;
+            this._drift.total += Math.max(0, drift);
+            this._drift.max = Math.max(this._drift.max, drift);
 
-        var d = +new Date;
+        }
 
         this._trackedTime += d - this._lastTick;
         this._lastTick = d;
+        this._save();
+
+        if (this._heartbeat && this._trackedTime - this._reported >= this._heartbeat) {
+            this._beat('interval');
+        }
 
         if (this._trackedTime < this._min) {
             return;
         }
         if (this._trackedTime > this._max) {
+
+            // Nothing is tracked past max, so report the end before the exit listeners go
+            this._end();
             this.destroy();
+
             return;
+
         }
 
         this._checkMarks();
@@ -225,294 +574,3387 @@
     };
 
     /**
-     * @param {string} evt
-     * @param {function} handler
+     * Moves the engagementEvents listeners and viewport tracking to a new context
+     *
+     * @param {HTMLElement|Document|null} context
      */
-    EngagementTimer.prototype.on = function (evt, handler) {
-
-        if (!this._events[evt]) {
-            this._events[evt] = [];
-        }
-
-        this._events[evt].push(handler);
+    EngagementTimer.prototype._bindContext = function (context) {
 
-    };
+        var adapter = this._adapter;
+        var unbind = [];
 
-    EngagementTimer.prototype.reset = function () {
+        if (this._unbindContext) {
+            this._unbindContext();
+        }
 
-        this._each = this._each.initialValues.slice(0);
-        this._every = this._every.initialValues.slice(0);
-        this._lastTick = +new Date;
-        this._tickRemainder = 0;
-        this._trackedTime = 0;
-        this._cache = {};
+        this._context = context;
+        this._unbindContext = null;
 
-        this.emit('reset', {
-            data: {
-                timestamp: +new Date
-            }
-        });
+        if (!context) return;
 
-    };
+        // Groups listen once for all of their sections
+        if (!this._group) {
 
-    EngagementTimer.prototype.start = function () {
+            unbind.push(adapter.listen(context, this._engagementEvents, this._engage));
+            unbind.push(adapter.listen(context, Object.keys(this._weights || {}), this._onWeightedEvent));
 
-        var d = +new Date;
+            // Media events don't bubble, so they're caught on the way down
+            unbind.push(adapter.capture(context, this._mediaEvents, this._onMediaEvent));
 
-        if (this._running) {
-            return;
         }
 
-        if (!this._idleTimer && this._idleAfter) {
-            this._resetIdleTimeout();
+        if (isDefined(this._visibleThreshold)) {
+            unbind.push(adapter.watchViewport(context, this._visibleThreshold, this._onViewportChange.bind(this)));
         }
 
-        this._running = true;
-        this._startTimer();
-        this._lastTick = d - this._tickElapsed;
-
-        this.emit('start', {
-            data: {
-                timestamp: d
-            }
-        });
+        this._unbindContext = callAll(unbind);
 
     };
 
-    EngagementTimer.prototype.pause = function () {
-
-        var d = +new Date;
-
-        this._tickElapsed = d - this._lastTick;
-        this._trackedTime += this._tickElapsed;
-
-        if (this._Interval) {
-            this._Interval.clear();
-        }
+    /**
+     * Adds the event's weight to the score, unless the context is out of view
+     *
+     * @param {Event} evt
+     */
+    EngagementTimer.prototype._onWeighted = function (evt) {
 
-        clearTimeout(this._idleTimer);
+        var weight = this._weights && this._weights[evt.type];
 
-        this._running = false;
+        if (!weight || this._inView === false || this._destroyed) return;
 
-        this.emit('pause', {
-            data: {
-                timestamp: +new Date
-            }
-        });
+        this._score += weight;
+        this._windowScore += weight;
 
     };
 
     /**
-     * Emits events to registered handlers
+     * Playing media keeps the timer running; playing and pausing both
+     * count as engagement
      *
-     * @param {string} name
-     * @param {object} data
+     * @param {Event} evt
      */
-    EngagementTimer.prototype.emit = function (name, data) {
+    EngagementTimer.prototype._onMedia = function (evt) {
 
-        var handlers = this._events[name];
+        var watch = this._getMediaWatch(evt.target);
+        var d = this._clock.now();
 
-        if (!handlers) return;
+        if (evt.type === 'play') {
 
-        this._events[name].forEach(function (handler) {
+            if (watch.playingSince === null) {
+                watch.playingSince = d;
+            }
+
+            if (!this._running) {
+                this.start();
+            }
 
-            setTimeout(function () {
+        } else if (watch.playingSince !== null) {
 
-                handler(data);
+            watch.time += d - watch.playingSince;
+            watch.playingSince = null;
 
-            }, 0);
+        }
 
-        });
+        if (this._running && this._idleAfter) {
+            this._resetIdleTimeout();
+        }
 
     };
 
     /**
-     * Cleans up after itself
+     * @param {HTMLMediaElement} el
+     *
+     * @returns {object} watch time for el
      */
-    EngagementTimer.prototype.destroy = function () {
+    EngagementTimer.prototype._getMediaWatch = function (el) {
+
+        var i;
+
+        for (i = 0; i < this._media.length; i++) {
+
+            if (this._media[i].element === el) {
+                return this._media[i];
+            }
 
-        if (this._Interval) {
-            this._Interval.clear();
         }
 
-        clearTimeout(this._idleTimeout);
+        this._media.push({
+            element: el,
+            playingSince: null,
+            time: 0
+        });
+
+        return this._media[this._media.length - 1];
 
     };
 
     /**
-     * Checks the time elapsed and which times have been tracked
+     * @returns {object[]} seconds each media element has played for
      */
-    EngagementTimer.prototype._checkMarks = function () {
+    EngagementTimer.prototype._getMediaReport = function () {
 
-        var curr = Math.floor(this._trackedTime / 1000);
-        var toCall = [];
-        var i = 0;
-        var intervals;
-        var memo;
-        var j;
-        var n;
+        var d = this._clock.now();
 
-        while (this._each.length) {
+        return this._media.map(function (watch) {
 
-            n = this._each.shift();
+            var time = watch.time + (watch.playingSince === null ? 0 : d - watch.playingSince);
 
-            if (n > curr) {
-                this._each.unshift(n);
-                break;
-            }
+            return {
+                id: watch.element.id || null,
+                src: watch.element.currentSrc || watch.element.src || null,
+                time: Math.floor(time / 1000)
+            };
 
-            toCall.push(n);
+        });
 
-        }
+    };
 
-        while (i < this._every.length) {
+    /**
+     * Pauses while the tab is hidden
+     *
+     * @param {boolean} isHidden
+     */
+    EngagementTimer.prototype._onVisibilityChange = function (isHidden) {
 
-            n = this._every.initialValues[i];
-            memo = this._every[i];
-            j = 0;
+        if (isHidden && this._running) {
 
-            i += 1;
+            this._beat('hidden');
+            this.pause();
+            this._pausedFor = 'hidden';
+            this._pausedOnHide = true;
 
-            if (memo <= curr) {
+        } else if (isHidden && this._pausedFor === 'idle') {
 
-                intervals = Math.floor((curr - memo) / n);
+            // Time in a background tab counts as hidden, even when idle
+            this._setPauseReason('hidden');
+            this._idleWhenHidden = true;
 
-                while (j < intervals) {
-                    j += 1;
-                    toCall.push(n * j + memo);
-                }
+        } else if (!isHidden && this._idleWhenHidden) {
 
-                this._every[i - 1] = n * j;
+            this._idleWhenHidden = false;
+            this._setPauseReason('idle');
 
-            }
+        } else if (!isHidden && !this._running && this._pausedOnHide) {
 
-        }
+            this.start();
 
-        toCall.sort(ascendingSort).forEach(this._checkMark.bind(this));
+        }
 
     };
 
     /**
-     * @param {number} mark
+     * Closes out the time paused so far and counts the rest of the pause
+     * towards a different reason
+     *
+     * @param {string} reason - 'idle' or 'hidden'
      */
-    EngagementTimer.prototype._checkMark = function (mark) {
+    EngagementTimer.prototype._setPauseReason = function (reason) {
 
-        if (!this._cache[mark]) {
-
-            this._cache[mark] = true;
-            this.emit('interval', {
-                data: {
-                    time: mark
-                }
-            });
+        var d = this._clock.now();
 
+        if (this._pausedFor) {
+            this._pausedTime[this._pausedFor] += d - this._pausedAt;
         }
 
-    };
+        this._pausedAt = d;
+        this._pausedFor = reason;
 
+    };
 
     /**
-     * Resets the timeout for the idle counter
+     * Measures the context's scroll depth and emits a depth event for each
+     * configured depth passed for the first time
      */
-    EngagementTimer.prototype._resetIdleTimeout = function () {
+    EngagementTimer.prototype._onScroll = function () {
 
-        clearTimeout(this._idleTimer);
+        var depth;
 
-        this._idleTimer = setTimeout(function () {
+        if (!this._context) return;
 
-            this.pause();
-            this.emit('idle', {
+        depth = this._adapter.measureDepth(this._context);
+        this._depth = depth;
+
+        if (depth <= this._maxDepth) return;
+
+        this._maxDepth = depth;
+        this._depthMarks.forEach(function (mark) {
+
+            if (mark > depth || this._depthCache[mark]) return;
+
+            this._depthCache[mark] = true;
+            this.emit('depth', {
                 data: {
+                    depth: mark,
+                    time: Math.floor(this._getTrackedTime() / 1000),
                     timestamp: +new Date
                 }
             });
-            this._idleTimer = null;
 
-        }.bind(this), this._idleAfter);
+        }, this);
 
     };
 
     /**
-     * .sort() callback
+     * Pauses while too little of the context is in the viewport
      *
-     * @param {number} a
-     * @param {number} b
-     *
-     * @return {number}
+     * @param {boolean} isVisible
      */
-    function ascendingSort(a, b) {
+    EngagementTimer.prototype._onViewportChange = function (isVisible) {
 
-        if (a > b) return 1;
-        if (b > a) return -1;
-        return 0;
+        this._inView = isVisible;
 
-    }
+        this.emit(isVisible ? 'visible' : 'hidden', {
+            data: {
+                timestamp: +new Date
+            }
+        });
 
-    /**
-     * Reduces and casts to number
-     * @param {*[]} configs
+        if (!isVisible && this._running) {
+
+            this.pause();
+            this._pausedFor = 'hidden';
+            this._pausedOffscreen = true;
+
+        } else if (isVisible && this._pausedOffscreen) {
+
+            this._pausedOffscreen = false;
+            this.start();
+
+        }
+
+    };
+
+    /**
+     * Closes out the previous view and starts tracking the new one
+     */
+    EngagementTimer.prototype._onRouteChange = function () {
+
+        var path = getPath(this._adapter, this._routeHash);
+        var state = null;
+
+        if (path === this._path) return;
+
+        this.emit('summary', {
+            data: this._getSummary()
+        });
+
+        // Path-scoped state is kept per view, so file the old view away first
+        if (this._persist && this._persist.byPath) {
+            this._save();
+            this._persist.key = getPersistKey(this._persist, this._adapter);
+            state = loadState(this._persist, this._getSchedule());
+        }
+
+        this._path = path;
+        this.reset();
+
+        if (state) {
+            this._restore(state);
+            this._save();
+        }
+
+        if (this._contextSelector) {
+
+            // Give the router a chance to render the new view
+            this._rebindTimeout = this._clock.setTimeout(function () {
+
+                this._bindContext(this._adapter.find(this._contextSelector));
+
+            }.bind(this), 0);
+
+        }
+
+    };
+
+    /**
+     * Reports the engaged, idle & wall time so far when the page is hidden
+     * or unloaded; handlers may not get to run during unload, so the
+     * report is also sent through opts.transport when configured. Only
+     * the first of several exit events is reported until the page is
+     * shown again
+     */
+    EngagementTimer.prototype._end = function () {
+
+        var summary;
+        var serialize;
+
+        if (this._ended) return;
+
+        this._ended = true;
+        this._beat('exit');
+
+        summary = this._getSummary();
+        summary.hiddenTime = Math.floor(this._getPausedTime('hidden') / 1000);
+        summary.idleEpisodes = this._idleEpisodes;
+        summary.idleTime = Math.floor(this._getPausedTime('idle') / 1000);
+        summary.wallTime = Math.floor((this._clock.now() - this._startedAt) / 1000);
+
+        if (this._transport) {
+
+            serialize = this._transport.serialize || JSON.stringify;
+            this._adapter.send(this._transport.url, serialize(summary));
+
+        }
+
+        this.emit('end', {
+            data: summary
+        });
+
+    };
+
+    /**
+     * Arms the next end report once a hidden page is shown again
+     */
+    EngagementTimer.prototype._onReturn = function () {
+
+        this._ended = false;
+
+    };
+
+    /**
+     * Engaged seconds & marks hit for the current view
+     *
+     * @returns {object}
+     */
+    EngagementTimer.prototype._getSummary = function () {
+
+        return {
+            marks: this._getMarks(),
+            path: this._path || getPath(this._adapter, false),
+            time: Math.floor(this._getTrackedTime() / 1000),
+            timestamp: +new Date
+        };
+
+    };
+
+    /**
+     * Snapshot of the timer for inspecting configurations. Times are in
+     * milliseconds; hidden time includes time the context spent out of
+     * the viewport
+     *
+     * @returns {object}
+     */
+    EngagementTimer.prototype.getState = function () {
+
+        return {
+            destroyed: Boolean(this._destroyed),
+            drift: {
+                average: this._drift.ticks ? Math.round(this._drift.total / this._drift.ticks) : 0,
+                max: Math.round(this._drift.max)
+            },
+            engagedTime: this._getTrackedTime(),
+            hiddenTime: this._getPausedTime('hidden'),
+            idle: Boolean(this._idle),
+            idleEpisodes: this._idleEpisodes,
+            idleTime: this._getPausedTime('idle'),
+            marks: this._getMarks(),
+            nextMark: this._getNextMark(),
+            options: this._getOptions(),
+            running: this._running,
+            score: roundScore(this._score),
+            wallTime: this._clock.now() - this._startedAt
+        };
+
+    };
+
+    /**
+     * Options and state to recreate the timer with EngagementTimer.fromJSON.
+     * An element context is saved as its selector, or as the document when
+     * no selector was given
+     *
+     * @returns {object}
+     */
+    EngagementTimer.prototype.toJSON = function () {
+
+        var resolved = this._getOptions();
+        var saved = this._serialize();
+
+        resolved.context = this._contextSelector;
+
+        if (typeof resolved.persist === 'object') {
+
+            resolved.persist = extend({}, resolved.persist);
+            delete resolved.persist.storage;
+
+        }
+
+        // Time since startTime is part of the saved state
+        delete resolved.startTime;
+        delete resolved.clock;
+        delete resolved.adapter;
+        delete resolved.plugins;
+
+        // Functions can't be serialized, so generated marks are left out
+        resolved.each = resolved.each.filter(function (mark) {
+
+            return typeof mark !== 'function';
+
+        });
+        saved.generated = saved.generated.filter(function (next, i) {
+
+            return this._generators[i].rule !== null;
+
+        }, this);
+
+        Object.keys(resolved).forEach(function (key) {
+
+            if (resolved[key] === null) {
+                delete resolved[key];
+            }
+
+        });
+
+        return {
+            options: resolved,
+            state: saved
+        };
+
+    };
+
+    /**
+     * Options with marks, idleAfter, min & max as the timer uses them
+     *
+     * @returns {object}
+     */
+    EngagementTimer.prototype._getOptions = function () {
+
+        return extend(extend({}, this._opts), {
+            context: this._context,
+            each: this._each.initialValues.concat(this._getGenerated('each')),
+            every: this._every.initialValues.concat(this._getGenerated('every')),
+            idleAfter: this._idleAfter ? (this._idleAfter - 1) / 1000 : null,
+            max: this._max === Infinity ? null : this._max / 1000,
+            min: this._min / 1000
+        });
+
+    };
+
+    /**
+     * @param {string} type - 'each' or 'every'
+     *
+     * @returns {Array} the rules & mark functions configured in that option
+     */
+    EngagementTimer.prototype._getGenerated = function (type) {
+
+        return this._generators.filter(function (generator) {
+
+            return generator.type === type;
+
+        }).map(function (generator) {
+
+            return generator.rule || generator.fn;
+
+        });
+
+    };
+
+    /**
+     * @returns {number[]} marks that have fired, in seconds
+     */
+    EngagementTimer.prototype._getMarks = function () {
+
+        var marks = Object.keys(this._cache).map(Number);
+
+        return marks.sort(ascendingSort);
+
+    };
+
+    /**
+     * @returns {number|null} seconds of engaged time when the next mark fires
+     */
+    EngagementTimer.prototype._getNextMark = function () {
+
+        var after = Math.max(Math.floor(this._getTrackedTime() / 1000), Math.ceil(this._min / 1000) - 1);
+        var next = this._each.length ? this._each[0] : Infinity;
+
+        this._every.initialValues.forEach(function (n) {
+
+            var mark = (Math.floor(after / n) + 1) * n;
+
+            while (this._cache[mark]) {
+                mark += n;
+            }
+
+            next = Math.min(next, mark);
+
+        }, this);
+
+        this._generators.forEach(function (generator) {
+
+            if (generator.next !== null) {
+                next = Math.min(next, generator.next);
+            }
+
+        });
+
+        return next === Infinity || next * 1000 > this._max ? null : next;
+
+    };
+
+    /**
+     * Time spent paused for a reason, including the current pause
+     *
+     * @param {string} reason - 'idle' or 'hidden'
+     *
+     * @returns {number}
+     */
+    EngagementTimer.prototype._getPausedTime = function (reason) {
+
+        var time = this._pausedTime[reason];
+
+        if (this._pausedAt !== null && this._pausedFor === reason) {
+            time += this._clock.now() - this._pausedAt;
+        }
+
+        return time;
+
+    };
+
+    /**
+     * @param {string} evt - event name, or '*' for every event
+     * @param {function} handler - called with the event and the event name
+     */
+    EngagementTimer.prototype.on = function (evt, handler) {
+
+        if (!this._events[evt]) {
+            this._events[evt] = [];
+        }
+
+        this._events[evt].push(handler);
+
+    };
+
+    /**
+     * Removes a handler, or every handler for evt when handler is omitted
+     *
+     * @param {string} evt
+     * @param {function} [handler]
+     */
+    EngagementTimer.prototype.off = function (evt, handler) {
+
+        var handlers = this._events[evt];
+
+        if (!handlers) return;
+
+        if (!handler) {
+
+            delete this._events[evt];
+            return;
+
+        }
+
+        this._events[evt] = handlers.filter(function (registered) {
+
+            return registered !== handler && registered._handler !== handler;
+
+        });
+
+    };
+
+    /**
+     * Registers a handler that is removed after the first event
+     *
+     * @param {string} evt
+     * @param {function} handler
+     */
+    EngagementTimer.prototype.once = function (evt, handler) {
+
+        var wrapper = function (data, name) {
+
+            this.off(evt, wrapper);
+            handler(data, name);
+
+        }.bind(this);
+
+        wrapper._handler = handler;
+        this.on(evt, wrapper);
+
+    };
+
+    EngagementTimer.prototype.reset = function () {
+
+        var each = this._each.initialValues;
+        var every = this._every.initialValues;
+
+        this._beat('reset');
+
+        this._each = each.slice(0);
+        this._each.initialValues = each;
+        this._every = every.map(function () {
+
+            return 0;
+
+        });
+        this._every.initialValues = every;
+        this._generators.forEach(function (generator) {
+
+            generator.next = nextMark(generator.fn, 0);
+
+        });
+        this._lastTick = this._clock.now();
+        this._startedAt = this._lastTick;
+        this._pausedTime = {
+            hidden: 0,
+            idle: 0
+        };
+        this._pausedAt = this._pausedAt === null ? null : this._lastTick;
+        this._idleEpisodes = 0;
+        this._media = this._media.filter(function (watch) {
+
+            watch.time = 0;
+
+            if (watch.playingSince === null) return false;
+
+            watch.playingSince = this._lastTick;
+
+            return true;
+
+        }, this);
+        this._tickRemainder = 0;
+        this._trackedTime = 0;
+        this._reported = 0;
+        this._restoredTime = 0;
+        this._ended = false;
+        this._cache = {};
+        this._depth = 0;
+        this._maxDepth = 0;
+        this._depthCache = {};
+        this._score = 0;
+        this._windowScore = 0;
+        this._save();
+
+        this.emit('reset', {
+            data: {
+                timestamp: +new Date
+            }
+        });
+
+    };
+
+    EngagementTimer.prototype.start = function () {
+
+        var d = this._clock.now();
+        var away = null;
+
+        if (this._running || this._destroyed) {
+            return;
+        }
+
+        if (this._inView === false) {
+
+            // Picks up once the context scrolls into view
+            this._pausedOffscreen = true;
+            return;
+
+        }
+
+        if (!this._idleTimer && this._idleAfter) {
+            this._resetIdleTimeout();
+        }
+
+        if (this._pausedAt !== null) {
+
+            if (this._pausedFor) {
+                this._pausedTime[this._pausedFor] += d - this._pausedAt;
+            }
+
+            away = {
+                away: Math.floor((d - this._pausedAt) / 1000),
+                reason: this._pausedFor || 'pause',
+                timestamp: +new Date
+            };
+            this._pausedAt = null;
+            this._idleWhenHidden = false;
+
+        }
+
+        this._running = true;
+        this._idle = false;
+        this._startTimer();
+        this._lastTick = d;
+
+        this.emit('start', {
+            data: {
+                timestamp: +new Date
+            }
+        });
+
+        if (away) {
+
+            this.emit('resume', {
+                data: away
+            });
+            this._hook('resume', away);
+
+        }
+
+    };
+
+    EngagementTimer.prototype.pause = function () {
+
+        var d = this._clock.now();
+
+        // Time since an earlier pause or idle isn't engaged time
+        if (!this._running) return;
+
+        this._pausedAt = d;
+        this._pausedFor = null;
+
+        // Carried over so the first tick after resuming completes the interval
+        this._tickElapsed += d - this._lastTick;
+        this._trackedTime += d - this._lastTick;
+
+        // Stopped before beating, so the time just added isn't counted twice
+        this._running = false;
+        this._beat('pause');
+
+        if (this._Interval) {
+            this._Interval.clear();
+        }
+
+        this._clock.clearTimeout(this._idleTimer);
+        this._save();
+
+        this.emit('pause', {
+            data: {
+                timestamp: +new Date
+            }
+        });
+        this._hook('pause');
+
+    };
+
+    /**
+     * Emits events to registered handlers
+     *
+     * @param {string} name
+     * @param {object} data
+     */
+    EngagementTimer.prototype.emit = function (name, data) {
+
+        var cancelled = this._plugins.some(function (plugin) {
+
+            var result = plugin.beforeEmit ? plugin.beforeEmit(this, name, data) : null;
+
+            if (result === false) return true;
+
+            if (result) {
+                data = result;
+            }
+
+            return false;
+
+        }, this);
+        var dispatch = function (evt, handler) {
+
+            // Skip handlers removed since the event was emitted
+            if ((this._events[evt] || []).indexOf(handler) === -1) return;
+
+            try {
+                handler(data, name);
+            } catch (err) {
+                this._onHandlerError(err, name);
+            }
+
+        }.bind(this);
+
+        if (cancelled) return;
+
+        if (this._group) {
+
+            data.data.section = this._section;
+            this._group.emit(name, data);
+
+        }
+
+        [
+            name,
+            '*'
+        ].forEach(function (evt) {
+
+            (this._events[evt] || []).forEach(function (handler) {
+
+                if (this._sync) {
+
+                    dispatch(evt, handler);
+                    return;
+
+                }
+
+                this._clock.setTimeout(function () {
+
+                    dispatch(evt, handler);
+
+                }, 0);
+
+            }, this);
+
+        }, this);
+
+    };
+
+    /**
+     * Reports an error thrown by a handler through the error event so the
+     * remaining handlers still run. Without error handlers, or when an
+     * error handler throws, the error is rethrown outside of dispatch
+     *
+     * @param {Error} err
+     * @param {string} name - event the handler was called for
+     */
+    EngagementTimer.prototype._onHandlerError = function (err, name) {
+
+        if (name === 'error' || !(this._events.error || []).length) {
+
+            this._clock.setTimeout(function () {
+
+                throw err;
+
+            }, 0);
+            return;
+
+        }
+
+        this.emit('error', {
+            data: {
+                error: err,
+                event: name,
+                timestamp: +new Date
+            }
+        });
+
+    };
+
+    /**
+     * Cleans up after itself, removing every listener and timeout. The
+     * timer can't be started again
+     */
+    EngagementTimer.prototype.destroy = function () {
+
+        if (this._destroyed) return;
+
+        this._beat('destroy');
+
+        // Keep the time since the last tick so it matches what was reported
+        this._trackedTime = this._getTrackedTime();
+
+        if (this._Interval) {
+            this._Interval.clear();
+        }
+
+        this._clock.clearTimeout(this._idleTimer);
+        this._clock.clearTimeout(this._initialTick);
+        this._clock.clearTimeout(this._initialDepth);
+        this._clock.clearTimeout(this._rebindTimeout);
+
+        this._engage.cancel();
+
+        if (this._scrolled) {
+            this._scrolled.cancel();
+        }
+
+        this._bindContext(null);
+        this._teardown.forEach(function (remove) {
+
+            remove();
+
+        });
+        this._teardown = [];
+
+        this._running = false;
+        this._destroyed = true;
+        this._hook('destroy');
+
+        this.emit('destroy', {
+            data: {
+                timestamp: +new Date
+            }
+        });
+
+    };
+
+    /**
+     * Counts as engagement, as if one of opts.engagementEvents happened in
+     * the context. For plugins that add engagement signals
+     */
+    EngagementTimer.prototype.engage = function () {
+
+        if (this._destroyed) return;
+
+        this._engage();
+
+    };
+
+    /**
+     * Calls a lifecycle hook on every plugin that has it
+     *
+     * @param {string} name - init, destroy, beforeTick, afterTick, engage, pause or resume
+     * @param {*} [arg] - passed after the timer
+     */
+    EngagementTimer.prototype._hook = function (name, arg) {
+
+        this._plugins.forEach(function (plugin) {
+
+            if (plugin[name]) {
+                plugin[name](this, arg);
+            }
+
+        }, this);
+
+    };
+
+    /**
+     * Emits a heartbeat with the engaged time since the last one, so the
+     * deltas of every heartbeat add up to the total engaged time
+     *
+     * @param {string} trigger - 'interval', 'pause', 'idle', 'hidden', 'exit', 'reset' or 'destroy'
+     */
+    EngagementTimer.prototype._beat = function (trigger) {
+
+        var engaged;
+
+        if (!this._heartbeat) return;
+
+        engaged = Math.floor(this._getTrackedTime());
+
+        if (engaged <= this._reported) return;
+
+        this.emit('heartbeat', {
+            data: {
+                delta: engaged - this._reported,
+                engagedTime: engaged,
+                reason: trigger,
+                timestamp: +new Date
+            }
+        });
+        this._reported = engaged;
+
+    };
+
+    /**
+     * Checks the time elapsed and which times have been tracked
+     */
+    EngagementTimer.prototype._checkMarks = function () {
+
+        var curr = Math.floor(this._trackedTime / 1000);
+        var everyMarks = {};
+        var toCall = [];
+        var i = 0;
+        var intervals;
+        var memo;
+        var j;
+        var n;
+
+        while (this._each.length) {
+
+            n = this._each.shift();
+
+            if (n > curr) {
+                this._each.unshift(n);
+                break;
+            }
+
+            toCall.push(n);
+
+        }
+
+        while (i < this._every.length) {
+
+            n = this._every.initialValues[i];
+            memo = this._every[i];
+            j = 0;
+
+            i += 1;
+
+            if (memo <= curr) {
+
+                intervals = Math.floor((curr - memo) / n);
+
+                while (j < intervals) {
+                    j += 1;
+                    toCall.push(n * j + memo);
+                    everyMarks[n * j + memo] = true;
+                }
+
+                this._every[i - 1] = n * j;
+
+            }
+
+        }
+
+        this._generators.forEach(function (generator) {
+
+            while (generator.next !== null && generator.next <= curr) {
+
+                toCall.push(generator.next);
+
+                if (generator.type === 'every') {
+                    everyMarks[generator.next] = true;
+                }
+
+                generator.next = nextMark(generator.fn, generator.next);
+
+            }
+
+        });
+
+        toCall.sort(ascendingSort).forEach(function (mark) {
+
+            this._checkMark(mark, everyMarks[mark] ? 'every' : 'each');
+
+        }, this);
+
+    };
+
+    /**
+     * @param {number} mark
+     * @param {string} markType - 'every' for multiples from opts.every, otherwise 'each'
+     */
+    EngagementTimer.prototype._checkMark = function (mark, markType) {
+
+        var lateness = this._trackedTime - Math.max(mark * 1000, this._min);
+        var interval;
+
+        if (!this._cache[mark]) {
+
+            interval = {
+                time: mark,
+                type: markType
+            };
+
+            // Due at or before a tick that never ran, e.g. in a throttled background tab
+            if (lateness >= this._minInterval) {
+
+                interval.late = true;
+                interval.scheduled = +new Date - lateness;
+
+            }
+
+            if (this._mediaEvents.length) {
+                interval.media = this._getMediaReport();
+            }
+
+            if (this._depthMarks) {
+
+                interval.depth = this._depth;
+                interval.maxDepth = this._maxDepth;
+
+            }
+
+            // Score is for the window since the last interval
+            if (this._weights) {
+
+                interval.score = roundScore(this._windowScore);
+                interval.totalScore = roundScore(this._score);
+                this._windowScore = 0;
+
+            }
+
+            this._cache[mark] = true;
+            this._save();
+            this.emit('interval', {
+                data: interval
+            });
+
+        }
+
+    };
+
+    /**
+     * Time tracked so far, including the tick in progress
+     *
+     * @returns {number}
+     */
+    EngagementTimer.prototype._getTrackedTime = function () {
+
+        if (!this._running) {
+            return this._trackedTime;
+        }
+
+        return this._trackedTime + (this._clock.now() - this._lastTick);
+
+    };
+
+    /**
+     * Identifies the configured marks so saved state is only restored
+     * into a timer with the same schedule
+     *
+     * @returns {string}
+     */
+    EngagementTimer.prototype._getSchedule = function () {
+
+        var schedule = this._each.initialValues.join(',') + '|' + this._every.initialValues.join(',');
+        var generators = this._generators.map(function (generator) {
+
+            return generator.rule ? JSON.stringify(generator.rule) : 'function';
+
+        });
+
+        return generators.length ? schedule + '|' + generators.join(',') : schedule;
+
+    };
+
+    /**
+     * Tracked time, fired marks and remaining schedule
+     *
+     * @returns {object}
+     */
+    EngagementTimer.prototype._serialize = function () {
+
+        return {
+            cache: this._cache,
+            each: this._each.slice(0),
+            every: this._every.slice(0),
+            generated: this._generators.map(function (generator) {
+
+                return generator.next;
+
+            }),
+            idleEpisodes: this._idleEpisodes,
+            pausedTime: {
+                hidden: this._getPausedTime('hidden'),
+                idle: this._getPausedTime('idle')
+            },
+            schedule: this._getSchedule(),
+            trackedTime: this._getTrackedTime()
+        };
+
+    };
+
+    /**
+     * Picks up from a serialized timer
+     *
+     * @param {object} [state]
+     */
+    EngagementTimer.prototype._restore = function (state) {
+
+        var each,
+            every;
+
+        if (!state) return;
+
+        each = state.each.slice(0);
+        each.initialValues = this._each.initialValues;
+        every = state.every.slice(0);
+        every.initialValues = this._every.initialValues;
+
+        this._each = each;
+        this._every = every;
+        this._cache = extend({}, state.cache);
+        this._trackedTime += state.trackedTime;
+
+        // Restored time was reported before the page was left
+        this._reported += state.trackedTime;
+        this._restoredTime += state.trackedTime;
+
+        (state.generated || []).forEach(function (next, i) {
+
+            if (this._generators[i]) {
+                this._generators[i].next = next;
+            }
+
+        }, this);
+
+        if (state.pausedTime) {
+
+            this._pausedTime.hidden += state.pausedTime.hidden;
+            this._pausedTime.idle += state.pausedTime.idle;
+            this._idleEpisodes += state.idleEpisodes;
+
+        }
+
+    };
+
+    /**
+     * Writes the current state to opts.persist.storage
+     */
+    EngagementTimer.prototype._save = function () {
+
+        var state;
+
+        if (!this._persist) return;
+
+        state = this._serialize();
+        state.savedAt = +new Date;
+
+        try {
+            this._persist.storage.setItem(this._persist.key, JSON.stringify(state));
+        } catch (e) {
+            // Storage may be full or disabled; tracking carries on without it
+        }
+
+    };
+
+    /**
+     * Resets the timeout for the idle counter
+     */
+    EngagementTimer.prototype._resetIdleTimeout = function () {
+
+        this._clock.clearTimeout(this._idleTimer);
+
+        this._idleTimer = this._clock.setTimeout(function () {
+
+            var playing = this._media.some(function (watch) {
+
+                return watch.playingSince !== null;
+
+            });
+
+            this._idleTimer = null;
+
+            if (playing) {
+
+                this._resetIdleTimeout();
+                return;
+
+            }
+
+            this._beat('idle');
+            this.pause();
+            this._pausedFor = 'idle';
+            this._idle = true;
+            this._idleEpisodes += 1;
+            this.emit('idle', {
+                data: {
+                    timestamp: +new Date
+                }
+            });
+            this._idleTimer = null;
+
+        }.bind(this), this._idleAfter);
+
+    };
+
+    /**
+     * Adds a plugin to every timer created afterwards. Plugins are objects
+     * with any of:
+     *
+     * - name {string} used in option errors
+     * - defaults {object} values for options the timer wasn't given
+     * - validate {function} called with the options; returns a message when they're invalid
+     * - init, destroy, beforeTick, afterTick, engage & pause {function} called with the timer
+     * - resume {function} called with the timer and the resume event data
+     * - beforeEmit {function} called with the timer, event name & event; returns false to cancel
+     *   the event or an object to emit instead
+     *
+     * @param {object} plugin
+     *
+     * @returns {function} removes the plugin for timers created afterwards
+     */
+    EngagementTimer.use = function (plugin) {
+
+        if (globalPlugins.indexOf(plugin) === -1) {
+            globalPlugins.push(plugin);
+        }
+
+        return function () {
+
+            var i = globalPlugins.indexOf(plugin);
+
+            if (i !== -1) {
+                globalPlugins.splice(i, 1);
+            }
+
+        };
+
+    };
+
+    /**
+     * Checks options without creating a timer, e.g. in CI or a GTM preview.
+     * Plugins added with EngagementTimer.use or in opts.plugins fill in
+     * their defaults and validate too
+     *
+     * @example
+     * ```js
+     * EngagementTimer.validate({every: [15, 'x'], min: 30, max: 10});
+     * // [{fatal: false, message: 'opts.every[1] should be a positive number of seconds (got "x").', path: 'every[1]'},
+     * //  {fatal: false, message: 'opts.min should be no more than opts.max (got 30).', path: 'min'}]
+     * ```
+     *
+     * @param {object} opts
+     *
+     * @returns {object[]} problems, each with the option's path, a message and whether it stops a timer being created
+     */
+    EngagementTimer.validate = function (opts) {
+
+        var plugins = getPlugins(opts);
+
+        return validateOptions(applyPluginOptions(opts, plugins), plugins);
+
+    };
+
+    /**
+     * Recreates a timer from EngagementTimer#toJSON
+     *
+     * @param {object|string} json
+     *
+     * @returns {EngagementTimer}
+     */
+    EngagementTimer.fromJSON = function (json) {
+
+        var saved = typeof json === 'string' ? JSON.parse(json) : json;
+        var timer = new EngagementTimer(saved.options);
+
+        // The saved state replaces anything restored from opts.persist
+        timer._trackedTime = 0;
+        timer._reported = 0;
+        timer._restoredTime = 0;
+        timer._pausedTime = {
+            hidden: 0,
+            idle: 0
+        };
+        timer._idleEpisodes = 0;
+        timer._restore(saved.state);
+
+        return timer;
+
+    };
+
+    /**
+     * Creates a group of timers tracking several sections of a page
+     * independently, sharing one set of listeners
+     *
+     * @example
+     * ```javascript
+     * var group = EngagementTimer.group({
+     *   every: [10],
+     *   idleAfter: 5,
+     *   engagementEvents: ['click', 'keydown', 'scroll'],
+     *   visibleThreshold: 0.25,
+     *   sections: {
+     *     intro: '#intro',
+     *     pricing: '#pricing',
+     *     faq: '#faq'
+     *   }
+     * });
+     *
+     * group.on('interval', function (evt) {
+     *
+     *   notifySomeService(evt.data.section, evt.data.time);
+     *
+     * });
+     * ```
+     *
+     * @param {object} opts
+     *
+     * @returns {TimerGroup}
+     */
+    EngagementTimer.group = function (opts) {
+
+        return new TimerGroup(opts);
+
+    };
+
+    /**
+     * Creates and starts a timer for each element with a
+     * data-engagement-timer attribute, including elements added later, and
+     * reports it with one of EngagementTimer.reporters. Timers are
+     * configured with data-every, data-each, data-idle-after, data-min,
+     * data-max & data-events; lists are separated by commas or spaces. The
+     * element is the timer's context, unless data-engagement-timer is
+     * "document". Invalid attributes are logged to the console and the
+     * element is skipped
+     *
+     * @example
+     * ```html
+     * <article data-engagement-timer data-every="15" data-idle-after="5" data-events="click scroll keydown">
+     * ```
+     *
+     * @param [opts] {object}
+     * @param [opts.root] {HTMLElement|Document} where to look for elements (defaults to document)
+     * @param [opts.defaults] {object} options for every timer, overridden by attributes
+     * @param [opts.reporter] {string|function} name of a reporter in EngagementTimer.reporters, or a function called
+     * with each timer that returns a function to stop reporting (defaults to dataLayer)
+     * @param [opts.reporterOptions] {object} passed to the named reporter
+     *
+     * @returns {object} timers() returns the timers created so far; destroy() stops watching and destroys them
+     */
+    EngagementTimer.autoInit = function (opts) {
+
+        var options = opts || {};
+        var root = options.root || document;
+        var entries = [];
+        var observer = null;
+        var scan = function () {
+
+            var found = root.querySelectorAll('[data-engagement-timer]');
+
+            Array.prototype.forEach.call(found, function (el) {
+
+                var entry;
+
+                if (entries.some(function (other) {
+
+                    return other.element === el;
+
+                })) return;
+
+                entry = createAutoTimer(el, options);
+
+                if (entry) {
+                    entries.push(entry);
+                }
+
+            });
+
+        };
+        var sweep = function () {
+
+            entries = entries.filter(function (entry) {
+
+                if (document.documentElement.contains(entry.element)) return true;
+
+                entry.stopReporting();
+                entry.timer.destroy();
+
+                return false;
+
+            });
+
+        };
+        var getTimers = function () {
+
+            return entries.map(function (entry) {
+
+                return entry.timer;
+
+            });
+
+        };
+        var destroyAll = function () {
+
+            if (observer) {
+                observer.disconnect();
+            }
+
+            document.removeEventListener('DOMContentLoaded', scan);
+
+            entries.forEach(function (entry) {
+
+                entry.stopReporting();
+                entry.timer.destroy();
+
+            });
+            entries = [];
+
+        };
+
+        scan();
+
+        if (window.MutationObserver) {
+
+            observer = new window.MutationObserver(function () {
+
+                sweep();
+                scan();
+
+            });
+            observer.observe(root, {
+                childList: true,
+                subtree: true
+            });
+
+        } else if (document.readyState === 'loading') {
+
+            document.addEventListener('DOMContentLoaded', scan);
+
+        }
+
+        return {
+            destroy: destroyAll,
+            timers: getTimers
+        };
+
+    };
+
+    /**
+     * Creates, reports & starts a timer in one call, for tag managers and
+     * other callers that can't keep hold of the timer. Reporting stops when
+     * the timer is destroyed
+     *
+     * @example
+     * ```javascript
+     * EngagementTimer.track({every: [30]}, 'ga4', {transport: 'dataLayer'});
+     * ```
+     *
+     * @param {object} opts - EngagementTimer options
+     * @param [reporter] {string|function} name of a reporter in EngagementTimer.reporters, or a function called with
+     * the timer that returns a function to stop reporting (defaults to dataLayer)
+     * @param [reporterOptions] {object} passed to the named reporter
+     *
+     * @returns {EngagementTimer}
+     */
+    EngagementTimer.track = function (opts, reporter, reporterOptions) {
+
+        var report = getReporter(reporter || 'dataLayer', reporterOptions);
+        var timer = new EngagementTimer(opts);
+        var stopReporting = report(timer);
+
+        if (typeof stopReporting === 'function') {
+            timer.once('destroy', stopReporting);
+        }
+
+        timer.start();
+
+        return timer;
+
+    };
+
+    /**
+     * Adapters that send a timer's events to analytics tools. Each takes
+     * a timer or group and options, and returns a function that stops
+     * reporting
+     *
+     * @example
+     * ```javascript
+     * EngagementTimer.reporters.ga4(timer, {
+     *   eventName: 'engaged_time'
+     * });
+     * ```
+     */
+    EngagementTimer.reporters = {
+        dataLayer: reportToDataLayer,
+        ga4: reportToGA4
+    };
+
+    /**
+     * Where timers get engagement, visibility, storage & navigation from.
+     * Pass some of an adapter's methods as opts.adapter to replace them
+     *
+     * @example
+     * ```javascript
+     * // Visibility comes from the app hosting the page
+     * EngagementTimer({
+     *   every: [15],
+     *   idleOnVisibilityChange: true,
+     *   adapter: {
+     *     onVisibilityChange: function(handler) {
+     *       return app.onBackground(handler);
+     *     }
+     *   }
+     * });
+     * ```
+     */
+    EngagementTimer.adapters = {
+        browser: browserAdapter,
+        headless: headlessAdapter
+    };
+
+    /**
+     * @name TimerGroup
+     * Tracks engaged time for sections of a page. Each section keeps its own
+     * tracked time, marks and idle state; events from every section are
+     * re-emitted by the group with data.section set to the section name
+     *
+     * @constructor
+     *
+     * @param opts {object} EngagementTimer options shared by every section
+     * @param opts.sections {object} section names mapped to the DOM element (or selector) for each section
+     */
+    function TimerGroup(opts) {
+
+        var shared = extend({}, opts);
+
+        if (!opts.sections) {
+            throw new Error('Requires opts.sections.');
+        }
+
+        delete shared.sections;
+
+        this._adapter = getAdapter(opts);
+        this._clock = opts.clock || defaultClock;
+        this._events = {};
+        this._plugins = [];
+        this._sync = Boolean(opts.sync);
+        this._sections = {};
+        this._timers = [];
+        this._teardown = [];
+
+        Object.keys(opts.sections).forEach(function (name) {
+
+            var sectionOpts = extend({}, shared);
+            var timer;
+
+            sectionOpts.context = opts.sections[name];
+
+            if (opts.persist) {
+
+                sectionOpts.persist = extend({}, typeof opts.persist === 'object' ? opts.persist : {});
+                sectionOpts.persist.id = getPersistId(sectionOpts.persist, this._adapter) + ':' + name;
+
+            }
+
+            timer = new EngagementTimer(sectionOpts, this);
+            timer._section = name;
+
+            this._sections[name] = timer;
+            this._timers.push(timer);
+
+        }, this);
+
+        if (opts.persist) {
+            this._teardown.push(this._adapter.onHide(callEach(this._timers, '_save')));
+        }
+
+        if (opts.router) {
+            this._teardown.push(this._adapter.onNavigate(callEach(this._timers, '_onRouteChange')));
+        }
+
+        this._teardown.push(this._adapter.onExit(callEach(this._timers, '_end'), callEach(this._timers, '_onReturn')));
+
+        if (opts.idleOnVisibilityChange) {
+            this._teardown.push(this._adapter.onVisibilityChange(callEach(this._timers, '_onVisibilityChange')));
+        }
+
+        var groupEvents = (opts.engagementEvents || []).concat(opts.media ? MEDIA_EVENTS : [], Object.keys(opts.weights || {}));
+        var root = this._adapter.getRoot();
+
+        if (root) {
+
+            this._teardown.push(this._adapter.capture(root, groupEvents.filter(function (evt, i) {
+
+                return groupEvents.indexOf(evt) === i;
+
+            }), this._onEngagement.bind(this)));
+
+        }
+
+    }
+
+    /**
+     * Engages the sections an event happened in; events on the document
+     * itself, like page scrolls, engage every section
+     *
+     * @param {Event} evt
+     */
+    TimerGroup.prototype._onEngagement = function (evt) {
+
+        var isMedia = MEDIA_EVENTS.indexOf(evt.type) !== -1;
+
+        this._timers.forEach(function (timer) {
+
+            var context = timer._context;
+
+            if (!context) return;
+
+            if (isMedia && timer._mediaEvents.length && (context === document || context.contains(evt.target))) {
+                timer._onMedia(evt);
+            } else if (!isMedia && (evt.target === document || evt.target === window || context === document || context.contains(evt.target))) {
+
+                if (timer._engagementEvents.indexOf(evt.type) !== -1) {
+                    timer._engage();
+                }
+
+                timer._onWeighted(evt);
+
+            }
+
+        });
+
+    };
+
+    [
+        'on',
+        'off',
+        'once',
+        'emit',
+        '_onHandlerError'
+    ].forEach(function (method) {
+
+        TimerGroup.prototype[method] = EngagementTimer.prototype[method];
+
+    });
+
+    [
+        'start',
+        'pause',
+        'reset'
+    ].forEach(function (method) {
+
+        TimerGroup.prototype[method] = function () {
+
+            this._timers.forEach(function (timer) {
+
+                timer[method]();
+
+            });
+
+        };
+
+    });
+
+    /**
+     * Destroys every section and removes the group's listeners
+     */
+    TimerGroup.prototype.destroy = function () {
+
+        this._timers.forEach(function (timer) {
+
+            timer.destroy();
+
+        });
+        this._teardown.forEach(function (remove) {
+
+            remove();
+
+        });
+        this._teardown = [];
+
+    };
+
+    /**
+     * @param {string} name
+     *
+     * @returns {EngagementTimer} the timer for a section
+     */
+    TimerGroup.prototype.section = function (name) {
+
+        return this._sections[name];
+
+    };
+
+    /**
+     * Engaged seconds, marks hit and idle state for each section
+     *
+     * @returns {object}
+     */
+    TimerGroup.prototype.report = function () {
+
+        var report = {};
+
+        Object.keys(this._sections).forEach(function (name) {
+
+            var timer = this._sections[name];
+            var summary = timer._getSummary();
+
+            report[name] = {
+                idle: Boolean(timer._idle),
+                marks: summary.marks,
+                running: timer._running,
+                time: summary.time
+            };
+
+        }, this);
+
+        return report;
+
+    };
+
+    /**
+     * Sends interval & heartbeat events to Google Analytics 4 with gtag, or
+     * pushes them to the dataLayer for a GA4 event tag when gtag isn't on
+     * the page. engagement_time_msec is the engaged time since the last
+     * event sent for the timer or section
+     *
+     * @param {EngagementTimer|TimerGroup} timer
+     * @param [opts] {object}
+     * @param [opts.eventName] {string} GA4 event name (defaults to engagement_timer)
+     * @param [opts.params] {object} GA4 parameter names to use instead of the defaults, keyed by engagementTime, mark,
+     * markType, context & idleCount
+     * @param [opts.events] {string[]} timer events to send (defaults to interval & heartbeat)
+     * @param [opts.transport] {string} 'gtag' or 'dataLayer' (defaults to gtag when it's on the page)
+     * @param [opts.dataLayerName] {string} dataLayer to push to (defaults to dataLayer)
+     *
+     * @returns {function} stops reporting
+     */
+    function reportToGA4(timer, opts) {
+
+        var options = opts || {};
+        var names = extend(extend({}, GA4_PARAMS), options.params || {});
+        var eventName = options.eventName || 'engagement_timer';
+        var events = (options.events || [
+            'interval',
+            'heartbeat'
+        ]).concat('reset');
+        var reported = {};
+        var send = function (evt, name) {
+
+            var payload = evt.data;
+            var key = payload.section || '';
+            var source = getReportSource(timer, payload);
+            var state = source.getState();
+            var engaged = isDefined(payload.engagedTime) ? payload.engagedTime : state.engagedTime;
+            var params = {};
+
+            if (name === 'reset') {
+
+                delete reported[key];
+                return;
+
+            }
+
+            // Time restored by opts.persist was reported on an earlier page
+            if (!isDefined(reported[key])) {
+                reported[key] = source._restoredTime || 0;
+            }
+
+            params[names.engagementTime] = Math.round(Math.max(0, engaged - reported[key]));
+            params[names.mark] = isDefined(payload.time) ? payload.time : Math.floor(engaged / 1000);
+            params[names.markType] = name === 'interval' ? payload.type : name;
+            params[names.context] = payload.section || describeContext(source);
+            params[names.idleCount] = state.idleEpisodes;
+            reported[key] = Math.max(engaged, reported[key]);
+
+            sendToGA4(eventName, params, options);
+
+        };
+
+        return subscribe(timer, events, send);
+
+    }
+
+    /**
+     * Pushes timer events to the dataLayer as
+     * {event: eventName, attributes: {action, counter, ...fields}}, where
+     * action is the timer event and counter is the mark in seconds, or the
+     * engaged seconds for other events. Times are in seconds
+     *
+     * @param {EngagementTimer|TimerGroup} timer
+     * @param [opts] {object}
+     * @param [opts.eventName] {string} (defaults to engagementTimer)
+     * @param [opts.dataLayerName] {string} dataLayer to push to (defaults to dataLayer)
+     * @param [opts.fields] {string[]} attributes to add, from context, engagedTime, idleTime, markType, path & wallTime
+     * (defaults to all of them)
+     * @param [opts.events] {string[]} timer events to push, e.g. start, pause, idle & reset (defaults to interval)
+     *
+     * @returns {function} stops reporting
+     */
+    function reportToDataLayer(timer, opts) {
+
+        var options = opts || {};
+        var eventName = options.eventName || 'engagementTimer';
+        var dataLayerName = options.dataLayerName || 'dataLayer';
+        var fields = options.fields || DATA_LAYER_FIELDS;
+        var push = function (evt, name) {
+
+            var payload = evt.data;
+            var source = getReportSource(timer, payload);
+            var state = source.getState();
+            var engaged = Math.floor(state.engagedTime / 1000);
+            var values = {
+                context: payload.section || describeContext(source),
+                engagedTime: engaged,
+                idleTime: Math.floor(state.idleTime / 1000),
+                markType: payload.type || null,
+                path: getPath(source._adapter, false),
+                wallTime: Math.floor(state.wallTime / 1000)
+            };
+            var attrs = {
+                action: name,
+                counter: isDefined(payload.time) ? payload.time : engaged
+            };
+
+            fields.forEach(function (field) {
+
+                attrs[field] = values[field];
+
+            });
+
+            window[dataLayerName] = window[dataLayerName] || [];
+            window[dataLayerName].push({
+                attributes: attrs,
+                event: eventName
+            });
+
+        };
+
+        return subscribe(timer, options.events || ['interval'], push);
+
+    }
+
+    /**
+     * @param {EngagementTimer|TimerGroup} timer
+     * @param {string[]} events
+     * @param {function} handler
+     *
+     * @returns {function} removes handler from every event
+     */
+    function subscribe(timer, events, handler) {
+
+        events.forEach(function (evt) {
+
+            timer.on(evt, handler);
+
+        });
+
+        return function () {
+
+            events.forEach(function (evt) {
+
+                timer.off(evt, handler);
+
+            });
+
+        };
+
+    }
+
+    /**
+     * The timer an event came from; events from a group come from one of
+     * its sections
+     *
+     * @param {EngagementTimer|TimerGroup} timer
+     * @param {object} payload - event data
+     *
+     * @returns {EngagementTimer}
+     */
+    function getReportSource(timer, payload) {
+
+        return payload.section ? timer.section(payload.section) : timer;
+
+    }
+
+    /**
+     * @param {string} eventName
+     * @param {object} params
+     * @param {object} opts - reporter options
+     */
+    function sendToGA4(eventName, params, opts) {
+
+        var gtagFn = window.gtag;
+        var dataLayerName = opts.dataLayerName || 'dataLayer';
+        var transport = opts.transport || (typeof gtagFn === 'function' ? 'gtag' : 'dataLayer');
+
+        if (transport === 'gtag') {
+
+            gtagFn('event', eventName, params);
+            return;
+
+        }
+
+        window[dataLayerName] = window[dataLayerName] || [];
+        window[dataLayerName].push(extend({event: eventName}, params));
+
+    }
+
+    /**
+     * Names the timer's context for reports: its selector, #id, tag name
+     * or document
+     *
+     * @param {EngagementTimer} timer
+     *
+     * @returns {string}
+     */
+    function describeContext(timer) {
+
+        var el = timer._context;
+
+        if (timer._contextSelector) return timer._contextSelector;
+        if (!el || el === document) return 'document';
+
+        return el.id ? '#' + el.id : el.tagName.toLowerCase();
+
+    }
+
+    /**
+     * @param {number} score
+     *
+     * @returns {number} to 2 decimal places
+     */
+    function roundScore(score) {
+
+        return Math.round(score * 100) / 100;
+
+    }
+
+    /**
+     * .sort() callback
+     *
+     * @param {number} a
+     * @param {number} b
+     *
+     * @return {number}
+     */
+    function ascendingSort(a, b) {
+
+        if (a > b) return 1;
+        if (b > a) return -1;
+        return 0;
+
+    }
+
+    /**
+     * Reduces and casts to number
+     * @param {*[]} configs
+     *
+     * @return {number[]}
+     */
+    function cleanMarks(arr) {
+
+        return arr.reduce(function (prev, curr) {
+
+            var n = Number(curr);
+
+            if (n) {
+                prev.push(n);
+            }
+
+            return prev;
+
+        }, []).sort(ascendingSort);
+
+    }
+
+    /**
+     * @param {string|function} reporter - name of a reporter in EngagementTimer.reporters, or a function called with
+     * the timer
+     * @param {object} [reporterOptions] - passed to the named reporter
+     *
+     * @returns {function} starts reporting a timer and returns a function that stops, if the reporter gives one
+     */
+    function getReporter(reporter, reporterOptions) {
+
+        var named = EngagementTimer.reporters[reporter];
+
+        if (typeof reporter === 'function') {
+            return reporter;
+        }
+
+        if (!named) {
+            throw new Error('Unknown reporter ' + reporter);
+        }
+
+        return function (timer) {
+
+            return named(timer, reporterOptions);
+
+        };
+
+    }
+
+    /**
+     * Builds, reports & starts a timer from an element's data attributes,
+     * logging why instead when it can't
+     *
+     * @param {HTMLElement} el
+     * @param {object} opts - autoInit options
+     *
+     * @returns {object|null} element, timer & stopReporting
+     */
+    function createAutoTimer(el, opts) {
+
+        var timerOpts = extend({}, opts.defaults || {});
+        var reporter = opts.reporter || 'dataLayer';
+        var errors = [];
+        var created;
+        var stopReporting;
+
+        timerOpts.context = el.getAttribute('data-engagement-timer') === 'document' ? document : el;
+
+        [
+            'every',
+            'each',
+            'events',
+            'idle-after',
+            'min',
+            'max'
+        ].forEach(function (attr) {
+
+            var value = el.getAttribute('data-' + attr);
+            var parsed;
+
+            if (value === null) return;
+
+            parsed = parseAttribute(attr, value);
+
+            if (parsed === null) {
+
+                errors.push('data-' + attr + '="' + value + '" should be ' + (attr === 'events' ? 'a list of event names' : 'a number of seconds'));
+                return;
+
+            }
+
+            timerOpts[ATTRIBUTE_OPTIONS[attr]] = parsed;
+
+        });
+
+        if (errors.length) {
+
+            warn(errors.join('; '), el);
+            return null;
+
+        }
+
+        try {
+            created = new EngagementTimer(timerOpts);
+        } catch (err) {
+
+            warn(err.message, el);
+            return null;
+
+        }
+
+        stopReporting = getReporter(reporter, opts.reporterOptions)(created);
+        created.start();
+
+        return {
+            element: el,
+            stopReporting: stopReporting || function () {
+
+                // Reporter can't be stopped
+
+            },
+            timer: created
+        };
+
+    }
+
+    /**
+     * @param {string} attr - data attribute without the data- prefix
+     * @param {string} value
+     *
+     * @returns {number|number[]|string[]|null} null when the value is invalid
+     */
+    function parseAttribute(attr, value) {
+
+        var list = value.split(/[\s,]+/).filter(Boolean);
+        var numbers;
+
+        if (attr === 'events') {
+            return list.length ? list : null;
+        }
+
+        numbers = list.map(Number);
+
+        if (!numbers.length || numbers.some(function (n) {
+
+            return isNaN(n) || n < 0;
+
+        })) return null;
+
+        if (attr === 'every' || attr === 'each') return numbers;
+
+        return numbers.length === 1 ? numbers[0] : null;
+
+    }
+
+    /**
+     * @param {string} message
+     * @param {HTMLElement} [el]
+     */
+    function warn(message, el) {
+
+        // Outside the browser window is a stand-in, so use the global console
+        var output = typeof console === 'undefined' ? null : console;
+
+        if (!output || !output.warn) return;
+
+        if (el) {
+            output.warn('EngagementTimer: ' + message, el);
+        } else {
+            output.warn('EngagementTimer: ' + message);
+        }
+
+    }
+
+    /**
+     * Plugins added with EngagementTimer.use followed by any others in
+     * opts.plugins
+     *
+     * @param {object} opts
+     *
+     * @returns {object[]}
+     */
+    function getPlugins(opts) {
+
+        return globalPlugins.concat((opts.plugins || []).filter(function (plugin) {
+
+            return globalPlugins.indexOf(plugin) === -1;
+
+        }));
+
+    }
+
+    /**
+     * Copies opts, filling in options the plugins give defaults for
+     *
+     * @param {object} opts
+     * @param {object[]} plugins
+     *
+     * @returns {object}
+     */
+    function applyPluginOptions(opts, plugins) {
+
+        var options = extend({}, opts);
+
+        plugins.forEach(function (plugin) {
+
+            var defaults = plugin.defaults || {};
+
+            Object.keys(defaults).forEach(function (key) {
+
+                if (!isDefined(options[key])) {
+                    options[key] = defaults[key];
+                }
+
+            });
+
+        });
+
+        return options;
+
+    }
+
+    /**
+     * Finds problems with opts, including those reported by plugins. Fatal
+     * problems are ones the timer can't be created with
+     *
+     * @param {object} opts
+     * @param {object[]} plugins
+     *
+     * @returns {object[]} fatal, message & path for each problem
+     */
+    function validateOptions(opts, plugins) {
+
+        var problems = [];
+        var events = opts.engagementEvents;
+        var adapter = getAdapter(opts);
+        var root = adapter.getRoot();
+        var add = function (optionPath, text, fatal) {
+
+            problems.push({
+                fatal: Boolean(fatal),
+                message: text,
+                path: optionPath
+            });
+
+        };
+        var expect = function (optionPath, expected, value) {
+
+            add(optionPath, 'opts.' + optionPath + ' should be ' + expected + ' (got ' + describeValue(value) + ').');
+
+        };
+        var pluginOptions = plugins.reduce(function (keys, plugin) {
+
+            return keys.concat(Object.keys(plugin.defaults || {}));
+
+        }, []);
+
+        Object.keys(opts).forEach(function (key) {
+
+            if (KNOWN_OPTIONS.indexOf(key) === -1 && pluginOptions.indexOf(key) === -1) {
+                add(key, 'opts.' + key + ' isn\'t an option.');
+            }
+
+        });
+
+        if (!opts.each && !opts.every && !opts.heartbeat) {
+            add('each', 'Requires opts.each, opts.every or opts.heartbeat.', true);
+        }
+
+        (opts.each || []).forEach(function (mark, i) {
+
+            var optionPath = 'each[' + i + ']';
+
+            if (typeof mark === 'function') return;
+
+            if (mark && typeof mark === 'object') {
+
+                if (!isValidRule(mark, opts.max)) {
+                    add(optionPath, 'opts.' + optionPath + ' should have a step or factor and an end (or opts.max).', true);
+                }
+
+            } else if (!isPositive(mark)) {
+                expect(optionPath, 'a positive number of seconds', mark);
+            }
+
+        });
+
+        (opts.every || []).forEach(function (n, i) {
+
+            var optionPath = 'every[' + i + ']';
+
+            if (n && typeof n === 'object') {
+
+                var rule = {
+                    from: n.n,
+                    step: n.n,
+                    to: n.until
+                };
+
+                if (!isValidRule(rule, opts.max)) {
+                    add(optionPath, 'opts.' + optionPath + ' should have a positive n and an until (or opts.max).', true);
+                }
+
+            } else if (!isPositive(n)) {
+                expect(optionPath, 'a positive number of seconds', n);
+            }
+
+        });
+
+        [
+            'heartbeat',
+            'idleAfter',
+            'max'
+        ].forEach(function (key) {
+
+            if (isDefined(opts[key]) && !isPositive(opts[key])) {
+                expect(key, 'a positive number of seconds', opts[key]);
+            }
+
+        });
+
+        if (isDefined(opts.min) && !isSeconds(opts.min)) {
+            expect('min', 'a number of seconds', opts.min);
+        } else if (isPositive(opts.max) && Number(opts.min) > Number(opts.max)) {
+            expect('min', 'no more than opts.max', opts.min);
+        }
+
+        if ((opts.idleAfter || events) && !(opts.idleAfter && events && events.length)) {
+            add('idleAfter', 'Configure opts.idleAfter & opts.engagementEvents for idling.', true);
+        }
+
+        if (isDefined(events) && !Array.isArray(events)) {
+            expect('engagementEvents', 'an array of event names', events);
+        } else {
+
+            (events || []).forEach(function (name, i) {
+
+                if (!isKnownEvent(name)) {
+                    expect('engagementEvents[' + i + ']', 'an event name this browser knows', name);
+                }
+
+            });
+
+        }
+
+        Object.keys(opts.weights || {}).forEach(function (name) {
+
+            if (!isKnownEvent(name)) {
+                add('weights.' + name, 'opts.weights.' + name + ' should be keyed by an event name this browser knows.');
+            } else if (typeof opts.weights[name] !== 'number' || !isFinite(opts.weights[name])) {
+                expect('weights.' + name, 'a number of points', opts.weights[name]);
+            }
+
+        });
+
+        // Selectors can only be checked against a page
+        if (typeof opts.context === 'string' && root && !adapter.find(opts.context)) {
+            add('context', 'Unable to find context ' + opts.context, true);
+        }
+
+        if (isDefined(opts.visibleThreshold)) {
+
+            if (!opts.context || opts.context === root) {
+                add('visibleThreshold', 'Configure opts.context as an element for opts.visibleThreshold.', true);
+            }
+
+            if (!isSeconds(opts.visibleThreshold) || opts.visibleThreshold > 1) {
+                expect('visibleThreshold', 'a share of the context from 0 to 1', opts.visibleThreshold);
+            }
+
+        }
+
+        if (Array.isArray(opts.depth)) {
+
+            opts.depth.forEach(function (depth, i) {
+
+                if (!isPositive(depth) || depth > 100) {
+                    expect('depth[' + i + ']', 'a percentage from 1 to 100', depth);
+                }
+
+            });
+
+        } else if (isDefined(opts.depth) && typeof opts.depth !== 'boolean') {
+            expect('depth', 'an array of percentages or true', opts.depth);
+        }
+
+        if (isDefined(opts.validation) && [
+            'strict',
+            'warn',
+            false
+        ].indexOf(opts.validation) === -1) {
+            expect('validation', '\'strict\', \'warn\' or false', opts.validation);
+        }
+
+        plugins.forEach(function (plugin) {
+
+            var message = plugin.validate ? plugin.validate(opts) : null;
+            var name = plugin.name || 'Plugin';
+
+            if (message) {
+                add(name, name + ': ' + message, true);
+            }
+
+        });
+
+        return problems;
+
+    }
+
+    /**
+     * Throws on fatal problems, then throws on the rest in 'strict' mode
+     * or logs them in 'warn' mode
+     *
+     * @param {object[]} problems
+     * @param {string|boolean} [mode] - defaults to 'warn'
+     */
+    function reportProblems(problems, mode) {
+
+        var fatal = problems.filter(function (problem) {
+
+            return problem.fatal;
+
+        });
+        var messages = problems.map(function (problem) {
+
+            return problem.message;
+
+        });
+
+        if (fatal.length) {
+            throw new Error(fatal[0].message);
+        }
+
+        if (!problems.length || mode === false) return;
+
+        if (mode === 'strict') {
+            throw new Error(messages.join(' '));
+        }
+
+        messages.forEach(function (message) {
+
+            warn(message);
+
+        });
+
+    }
+
+    /**
+     * Events the browser has on* properties for, plus touch events
+     *
+     * @param {string} name
+     *
+     * @returns {boolean}
+     */
+    function isKnownEvent(name) {
+
+        var prop = 'on' + name;
+
+        if (typeof name !== 'string' || !name) return false;
+
+        if (!document) return true;
+
+        return TOUCH_EVENTS.indexOf(name) > -1 ||
+            prop in window ||
+            prop in document ||
+            prop in document.documentElement;
+
+    }
+
+    /**
+     * @param {*} value
+     *
+     * @returns {boolean} whether value is a finite number of seconds, or a
+     * string of one, that's at least 0
+     */
+    function isSeconds(value) {
+
+        var n = Number(value);
+
+        return (typeof value === 'number' || (typeof value === 'string' && value !== '')) && n >= 0 && n < Infinity;
+
+    }
+
+    /**
+     * @param {*} value
+     *
+     * @returns {boolean}
+     */
+    function isPositive(value) {
+
+        return isSeconds(value) && Number(value) > 0;
+
+    }
+
+    /**
+     * @param {*} value
+     *
+     * @returns {string}
+     */
+    function describeValue(value) {
+
+        return typeof value === 'string' ? '"' + value + '"' : String(value);
+
+    }
+
+    /**
+     * Splits opts.each & opts.every into plain marks, every multiples and
+     * mark functions; rules become mark functions too
+     *
+     * @param {object} opts
+     *
+     * @returns {object} each, every & generators
+     */
+    function parseSchedule(opts) {
+
+        var schedule = {
+            each: [],
+            every: [],
+            generators: []
+        };
+
+        (opts.each || []).forEach(function (mark) {
+
+            if (typeof mark === 'function') {
+                schedule.generators.push({
+                    fn: mark,
+                    rule: null,
+                    type: 'each'
+                });
+            } else if (mark && typeof mark === 'object') {
+                schedule.generators.push({
+                    fn: ruleMarks(mark, opts.max),
+                    rule: mark,
+                    type: 'each'
+                });
+            } else {
+                schedule.each.push(mark);
+            }
+
+        });
+
+        (opts.every || []).forEach(function (n) {
+
+            if (n && typeof n === 'object') {
+                schedule.generators.push({
+                    fn: ruleMarks({
+                        from: n.n,
+                        step: n.n,
+                        to: n.until
+                    }, opts.max),
+                    rule: n,
+                    type: 'every'
+                });
+            } else {
+                schedule.every.push(n);
+            }
+
+        });
+
+        return schedule;
+
+    }
+
+    /**
+     * Mark function for a rule's marks from rule.from up to rule.to, adding
+     * rule.step or multiplying by rule.factor each time. Marks are worked
+     * out as they come due and rounded to whole seconds, so a long or
+     * fractional rule never has to be listed up front
+     *
+     * @param {object} rule
+     * @param {number} [max] - used when the rule has no end
+     *
+     * @returns {function} called with the previous mark
+     */
+    function ruleMarks(rule, max) {
+
+        var to = isDefined(rule.to) ? Number(rule.to) : max;
+        var from = isDefined(rule.from) ? Number(rule.from) : Number(rule.step);
+        var factor = Number(rule.factor);
+        var step = Number(rule.step);
+
+        if (!isValidRule(rule, max)) {
+            throw new Error('Configure a step or factor and an end (or opts.max) for each schedule rule.');
+        }
+
+        return function (previous) {
+
+            // The first mark that rounds to a later second than previous
+            var after = previous + 0.5;
+            var count = 0;
+            var mark;
+
+            if (after > from) {
+                count = Math.ceil(rule.factor ? Math.log(after / from) / Math.log(factor) : (after - from) / step);
+            }
+
+            mark = rule.factor ? from * Math.pow(factor, count) : from + (count * step);
+
+            // Floating point error can leave the mark just short
+            if (mark < after) {
+                mark = rule.factor ? mark * factor : mark + step;
+            }
+
+            return mark <= to ? Math.round(mark) : null;
+
+        };
+
+    }
+
+    /**
+     * Whether a rule has marks that grow towards an end
+     *
+     * @param {object} rule
+     * @param {number} [max] - used when the rule has no end
+     *
+     * @returns {boolean}
+     */
+    function isValidRule(rule, max) {
+
+        var to = isDefined(rule.to) ? Number(rule.to) : max;
+        var mark = isDefined(rule.from) ? Number(rule.from) : Number(rule.step);
+        var growing = rule.step > 0 || (rule.factor > 1 && mark > 0);
+
+        return growing && to < Infinity;
+
+    }
+
+    /**
+     * Asks a mark function for the mark after previous, giving up when it
+     * doesn't return a later time
+     *
+     * @param {function} fn
+     * @param {number} previous
+     *
+     * @returns {number|null}
+     */
+    function nextMark(fn, previous) {
+
+        var mark = Number(fn(previous));
+
+        return mark > previous ? mark : null;
+
+    }
+
+    /**
+     * Euclid GCD
+     *
+     * @param {number} a
+     * @param {number} b
+     *
+     * @returns {number}
+     *
+     *
+     */
+    function GCD(a, b) {
+
+        a = Math.abs(a);
+        b = Math.abs(b);
+
+        if (b > a) return GCD(b, a);
+
+        while (true) {
+            if (b === 0) return a;
+            a %= b;
+            if (a === 0) return b;
+            b %= a;
+        }
+
+    }
+    /**
+     * Euclid GCD on a set
+     *
+     * @param {number[]} set
+     *
+     * @returns {number}
+     */
+    function setGCD(set) {
+
+        if (set.length === 1) return set[0];
+
+        var gcd = set.pop();
+
+        return set.reduce(function (prev, curr) {
+
+            return GCD(prev, curr);
+
+        }, gcd);
+
+    }
+
+    /**
+     * Resolves opts.persist into a storage backend, key & timeout
+     *
+     * @param {boolean|object} persist
+     * @param {object} adapter
+     *
+     * @returns {object|null}
+     */
+    function getPersistConfig(persist, adapter) {
+
+        var config = typeof persist === 'object' ? persist : {};
+        var backend = config.storage || adapter.getStorage();
+
+        if (!backend) return null;
+
+        return {
+            byPath: !config.id && config.scope !== 'site',
+            key: getPersistKey(config, adapter),
+            storage: backend,
+            timeout: (config.timeout || 30 * 60) * 1000
+        };
+
+    }
+
+    /**
+     * @param {object} config - opts.persist
+     * @param {object} adapter
+     *
+     * @returns {string}
+     */
+    function getPersistKey(config, adapter) {
+
+        return 'engagementTimer:' + getPersistId(config, adapter);
+
+    }
+
+    /**
+     * @param {object} config - opts.persist
+     * @param {object} adapter
+     *
+     * @returns {string}
+     */
+    function getPersistId(config, adapter) {
+
+        var location = adapter.getLocation();
+
+        return config.id || (config.scope === 'site' ? location.hostname : location.pathname);
+
+    }
+
+    /**
+     * Accessing sessionStorage throws when storage is disabled
+     *
+     * @returns {Storage|null}
+     */
+    function getSessionStorage() {
+
+        try {
+            return window.sessionStorage || null;
+        } catch (e) {
+            return null;
+        }
+
+    }
+
+    /**
+     * Reads saved state, discarding it if it has expired or was saved
+     * by a timer with a different schedule
+     *
+     * @param {object} persist
+     * @param {string} schedule
+     *
+     * @returns {object|null}
+     */
+    function loadState(persist, schedule) {
+
+        var state;
+
+        try {
+            state = JSON.parse(persist.storage.getItem(persist.key));
+        } catch (e) {
+            return null;
+        }
+
+        if (!state || state.schedule !== schedule || +new Date - state.savedAt > persist.timeout) {
+            return null;
+        }
+
+        return state;
+
+    }
+
+    /**
+     * @param {function} handler
+     *
+     * @returns {function} removes the listener
+     */
+    function onPageHide(handler) {
+
+        var evt = 'onpagehide' in window ? 'pagehide' : 'beforeunload';
+
+        window.addEventListener(evt, handler);
+
+        return function () {
+
+            window.removeEventListener(evt, handler);
+
+        };
+
+    }
+
+    /**
+     * Calls handler when the page is hidden or unloaded; on mobile the
+     * page is often discarded while hidden without ever firing pagehide.
+     * onReturn is called when a hidden page is shown again
+     *
+     * @param {function} handler
+     * @param {function} [onReturn]
+     *
+     * @returns {function} removes the listeners
+     */
+    function onPageExit(handler, onReturn) {
+
+        var removePageHide = onPageHide(handler);
+        var returned = onReturn || ignore;
+        var onVisibility = function () {
+
+            if (document.hidden) {
+                handler();
+            } else {
+                returned();
+            }
+
+        };
+
+        if (isDefined(document.hidden)) {
+            document.addEventListener('visibilitychange', onVisibility);
+        }
+
+        // Pages restored from the back/forward cache fire pageshow
+        window.addEventListener('pageshow', returned);
+
+        return function () {
+
+            removePageHide();
+            document.removeEventListener('visibilitychange', onVisibility);
+            window.removeEventListener('pageshow', returned);
+
+        };
+
+    }
+
+    /**
+     * POSTs body with navigator.sendBeacon, falling back to fetch with
+     * keepalive, so the request outlives the page
+     *
+     * @param {string} url
+     * @param {string|Blob|FormData} data
+     */
+    function sendBeacon(url, data) {
+
+        if (window.navigator.sendBeacon && window.navigator.sendBeacon(url, data)) return;
+
+        if (!window.fetch) return;
+
+        window.fetch(url, {
+            body: data,
+            keepalive: true,
+            method: 'POST'
+        }).catch(function () {
+            // Nothing more can be done once the page is going away
+        });
+
+    }
+
+    var visibilityWatchers = [];
+    var intersectionObservers = {};
+
+    /**
+     * Calls handler whenever element goes from having less than threshold
+     * of its area in the viewport to at least threshold, or back. Uses
+     * IntersectionObserver where available, otherwise measures on scroll
+     * & resize
+     *
+     * @param {HTMLElement} el
+     * @param {number} minRatio - from 0 to 1
+     * @param {function} onChange
+     *
+     * @returns {function} stops watching
+     */
+    function watchVisibility(el, minRatio, onChange) {
+
+        var watcher = {
+            element: el,
+            handler: onChange,
+            threshold: minRatio,
+            visible: null
+        };
+        var observer;
+        var unmeasure;
+
+        visibilityWatchers.push(watcher);
+
+        if (window.IntersectionObserver) {
+
+            observer = getIntersectionObserver(minRatio);
+            observer.observe(el);
+
+        } else {
+
+            unmeasure = onPageScroll(function () {
+
+                updateWatcher(watcher, getVisibleRatio(el));
+
+            });
+            updateWatcher(watcher, getVisibleRatio(el));
+
+        }
+
+        return function () {
+
+            visibilityWatchers.splice(visibilityWatchers.indexOf(watcher), 1);
+
+            if (unmeasure) {
+                unmeasure();
+            }
+
+            if (observer && !visibilityWatchers.some(function (other) {
+
+                return other.element === el && other.threshold === minRatio;
+
+            })) {
+                observer.unobserve(el);
+            }
+
+        };
+
+    }
+
+    /**
+     * One observer is shared by every watcher with the same threshold
+     *
+     * @param {number} threshold
+     *
+     * @returns {IntersectionObserver}
+     */
+    function getIntersectionObserver(threshold) {
+
+        if (!intersectionObservers[threshold]) {
+
+            intersectionObservers[threshold] = new window.IntersectionObserver(function (entries) {
+
+                entries.forEach(function (entry) {
+
+                    visibilityWatchers.forEach(function (watcher) {
+
+                        if (watcher.element === entry.target && watcher.threshold === threshold) {
+                            updateWatcher(watcher, entry.intersectionRatio);
+                        }
+
+                    });
+
+                });
+
+            }, {
+                threshold: [threshold]
+            });
+
+        }
+
+        return intersectionObservers[threshold];
+
+    }
+
+    var scrollHandlers = [];
+    var notifyScroll = function () {
+
+        scrollHandlers.slice(0).forEach(function (handler) {
+
+            handler();
+
+        });
+
+    };
+
+    /**
+     * Calls handler when the page or any element in it scrolls or the
+     * window resizes; timers throttle their own handlers with their
+     * clock. Every handler shares one set of listeners
+     *
+     * @param {function} handler
+     *
+     * @returns {function} removes the handler
+     */
+    function onPageScroll(handler) {
+
+        if (!scrollHandlers.length) {
+
+            window.addEventListener('scroll', notifyScroll, true);
+            window.addEventListener('resize', notifyScroll);
+
+        }
+
+        scrollHandlers.push(handler);
+
+        return function () {
+
+            var i = scrollHandlers.indexOf(handler);
+
+            if (i === -1) return;
+
+            scrollHandlers.splice(i, 1);
+
+            if (!scrollHandlers.length) {
+
+                window.removeEventListener('scroll', notifyScroll, true);
+                window.removeEventListener('resize', notifyScroll);
+
+            }
+
+        };
+
+    }
+
+    /**
+     * @param {object} watcher
+     * @param {number} ratio - share of the element in the viewport
+     */
+    function updateWatcher(watcher, ratio) {
+
+        var visible = watcher.threshold ? ratio >= watcher.threshold : ratio > 0;
+
+        if (visible === watcher.visible) return;
+
+        watcher.visible = visible;
+        watcher.handler(visible);
+
+    }
+
+    /**
+     * Share of element's area inside the viewport, for browsers without
+     * IntersectionObserver
      *
-     * @return {number[]}
+     * @param {HTMLElement} element
+     *
+     * @returns {number}
      */
-    function cleanMarks(arr) {
+    function getVisibleRatio(element) {
 
-        return arr.reduce(function (prev, curr) {
+        var rect = element.getBoundingClientRect();
+        var viewHeight = window.innerHeight || document.documentElement.clientHeight;
+        var viewWidth = window.innerWidth || document.documentElement.clientWidth;
+        var visibleHeight = Math.min(rect.bottom, viewHeight) - Math.max(rect.top, 0);
+        var visibleWidth = Math.min(rect.right, viewWidth) - Math.max(rect.left, 0);
+        var area = rect.width * rect.height;
 
-            var n = Number(curr);
+        if (!area || visibleHeight <= 0 || visibleWidth <= 0) return 0;
 
-            if (n) {
-                prev.push(n);
+        return visibleHeight * visibleWidth / area;
+
+    }
+
+    /**
+     * How far through element the reader has scrolled, as a percentage.
+     * Scrollable elements are measured by their own scroll position,
+     * anything else by how far its bottom edge is from the bottom of the
+     * viewport
+     *
+     * @param {HTMLElement|Document} element
+     *
+     * @returns {number} from 0 to 100
+     */
+    function getScrollDepth(element) {
+
+        var root = document.documentElement;
+        var viewHeight = window.innerHeight || root.clientHeight;
+        var rect;
+
+        if (element === document) {
+            return toPercent(
+                (window.pageYOffset || root.scrollTop) + viewHeight,
+                Math.max(root.scrollHeight, document.body ? document.body.scrollHeight : 0)
+            );
+        }
+
+        if (element.scrollHeight > element.clientHeight) {
+            return toPercent(element.scrollTop + element.clientHeight, element.scrollHeight);
+        }
+
+        rect = element.getBoundingClientRect();
+
+        return toPercent(viewHeight - rect.top, rect.height);
+
+    }
+
+    /**
+     * @param {number} seen
+     * @param {number} total
+     *
+     * @returns {number} whole percentage, from 0 to 100
+     */
+    function toPercent(seen, total) {
+
+        if (!total) return 0;
+
+        return Math.max(0, Math.min(100, Math.floor(seen / total * 100)));
+
+    }
+
+    /**
+     * @param {object} adapter
+     * @param {boolean} includeHash
+     *
+     * @returns {string}
+     */
+    function getPath(adapter, includeHash) {
+
+        var location = adapter.getLocation();
+
+        return location.pathname + location.search + (includeHash ? location.hash : '');
+
+    }
+
+    var routeHandlers = [];
+    var historyPatched = false;
+
+    /**
+     * Calls handler after history.pushState & history.replaceState and on
+     * popstate & hashchange. History methods are wrapped on first use
+     *
+     * @param {function} handler
+     *
+     * @returns {function} removes the handler
+     */
+    function onRouteChange(handler) {
+
+        var remove = function () {
+
+            var index = routeHandlers.indexOf(handler);
+
+            if (index !== -1) {
+                routeHandlers.splice(index, 1);
             }
 
-            return prev;
+        };
 
-        }, []).sort(ascendingSort);
+        routeHandlers.push(handler);
+
+        if (historyPatched) return remove;
+
+        historyPatched = true;
+
+        [
+            'pushState',
+            'replaceState'
+        ].forEach(function (method) {
+
+            var original = window.history[method];
+
+            if (!original) return;
+
+            window.history[method] = function () {
+
+                var result = original.apply(this, arguments);
+
+                notifyRouteChange();
+
+                return result;
+
+            };
+
+        });
+
+        window.addEventListener('popstate', notifyRouteChange);
+        window.addEventListener('hashchange', notifyRouteChange);
+
+        return remove;
+
+    }
+
+    function notifyRouteChange() {
+
+        routeHandlers.slice(0).forEach(function (handler) {
+
+            handler();
+
+        });
 
     }
 
     /**
-     * Euclid GCD
+     * Creates a single listener that calls method on every timer
      *
-     * @param {number} a
-     * @param {number} b
+     * @param {EngagementTimer[]} timers
+     * @param {string} method
      *
-     * @returns {number}
+     * @returns {function}
+     */
+    function callEach(timers, method) {
+
+        return function (arg) {
+
+            timers.forEach(function (timer) {
+
+                timer[method](arg);
+
+            });
+
+        };
+
+    }
+
+    /**
+     * @param {function[]} fns
+     *
+     * @returns {function} calls each of fns
+     */
+    function callAll(fns) {
+
+        return function () {
+
+            fns.forEach(function (fn) {
+
+                fn();
+
+            });
+
+        };
+
+    }
+
+    /**
+     * The browser adapter where there's a document, otherwise the headless
+     * one, with any methods from opts.adapter in their place
      *
+     * @param {object} opts
      *
+     * @returns {object}
      */
-    function GCD(a, b) {
+    function getAdapter(opts) {
 
-        a = Math.abs(a);
-        b = Math.abs(b);
+        return extend(extend({}, document ? browserAdapter : headlessAdapter), opts.adapter || {});
 
-        if (b > a) return GCD(b, a);
+    }
 
-        while (true) {
-            if (b === 0) return a;
-            a %= b;
-            if (a === 0) return b;
-            b %= a;
-        }
+    /**
+     * @param {EventTarget} target
+     * @param {string[]} types
+     * @param {function} handler
+     *
+     * @returns {function} removes the listeners
+     */
+    function listenTo(target, types, handler) {
+
+        types.forEach(function (type) {
+
+            target.addEventListener(type, handler);
+
+        });
+
+        return function () {
+
+            types.forEach(function (type) {
+
+                target.removeEventListener(type, handler);
+
+            });
+
+        };
 
     }
+
     /**
-     * Euclid GCD on a set
+     * Like listenTo, but catches events on their way down to the target,
+     * including ones that don't bubble
      *
-     * @param {number[]} set
+     * @param {EventTarget} target
+     * @param {string[]} types
+     * @param {function} handler
+     *
+     * @returns {function} removes the listeners
+     */
+    function captureFrom(target, types, handler) {
+
+        types.forEach(function (type) {
+
+            target.addEventListener(type, handler, true);
+
+        });
+
+        return function () {
+
+            types.forEach(function (type) {
+
+                target.removeEventListener(type, handler, true);
+
+            });
+
+        };
+
+    }
+
+    /**
+     * @param {string} selector
      *
+     * @returns {HTMLElement|null}
+     */
+    function findElement(selector) {
+
+        return document.querySelector(selector);
+
+    }
+
+    /**
+     * @returns {Document}
+     */
+    function getDocument() {
+
+        return document;
+
+    }
+
+    /**
+     * @returns {Location}
+     */
+    function getWindowLocation() {
+
+        return window.location;
+
+    }
+
+    /**
+     * @returns {function} does nothing
+     */
+    function ignore() {
+
+        return function () {
+
+            // Nothing to remove
+
+        };
+
+    }
+
+    /**
+     * @returns {null}
+     */
+    function findNothing() {
+
+        return null;
+
+    }
+
+    /**
      * @returns {number}
      */
-    function setGCD(set) {
+    function measureNothing() {
 
-        if (set.length === 1) return set[0];
+        return 0;
 
-        var gcd = set.pop();
+    }
 
-        return set.reduce(function (prev, curr) {
+    /**
+     * @returns {object} an empty location
+     */
+    function getBlankLocation() {
 
-            return GCD(prev, curr);
+        return {
+            hash: '',
+            hostname: '',
+            pathname: '',
+            search: ''
+        };
 
-        }, gcd);
+    }
+
+    /**
+     * Copies own properties of source onto target
+     *
+     * @param {object} target
+     * @param {object} source
+     *
+     * @returns {object} target
+     */
+    function extend(target, source) {
+
+        Object.keys(source).forEach(function (key) {
+
+            target[key] = source[key];
+
+        });
+
+        return target;
 
     }
 
@@ -535,11 +3977,28 @@
      * @private
      *
      * @param {bool} isHidden
+     *
+     * @returns {function} removes the listeners
      */
-    function onVisibilityChange(handler) {
+    function onTabVisibilityChange(handler) {
 
         var visibilityChange,
             hidden;
+        var onChange = function () {
+
+            handler(document[hidden]);
+
+        };
+        var onBlur = function () {
+
+            handler(true);
+
+        };
+        var onFocus = function () {
+
+            handler(false);
+
+        };
 
         if (isDefined(document.hidden)) {
 
@@ -565,27 +4024,57 @@
 
         if (visibilityChange) {
 
-            document.addEventListener(visibilityChange, function () {
+            document.addEventListener(visibilityChange, onChange);
 
-                handler(document[hidden]);
+            return function () {
 
-            });
+                document.removeEventListener(visibilityChange, onChange);
 
-        } else {
+            };
 
-            window.addEventListener('blur', function () {
+        }
 
-                handler(true);
+        window.addEventListener('blur', onBlur);
+        window.addEventListener('focus', onFocus);
 
-            });
+        return function () {
 
-            window.addEventListener('focus', function () {
+            window.removeEventListener('blur', onBlur);
+            window.removeEventListener('focus', onFocus);
 
-                handler(false);
+        };
 
-            });
+    }
 
-        }
+    /**
+     * @returns {number} milliseconds from an arbitrary, steadily increasing origin
+     */
+    function getMonotonicTime() {
+
+        var perf = typeof performance === 'undefined' ? null : performance;
+
+        return perf && perf.now ? perf.now() : +new Date;
+
+    }
+
+    /**
+     * @param {function} fn
+     * @param {number} wait
+     *
+     * @returns {number}
+     */
+    function setWindowTimeout(fn, wait) {
+
+        return setTimeout(fn, wait);
+
+    }
+
+    /**
+     * @param {number} id
+     */
+    function clearWindowTimeout(id) {
+
+        clearTimeout(id);
 
     }
 
@@ -596,36 +4085,44 @@
      * (c) 2009-2013 Jeremy Ashkenas, DocumentCloud and Investigative Reporters & Editors
      * Underscore may be freely distributed under the MIT license.
      */
-    function throttle(func, wait) {
+    function throttle(func, wait, clock) {
         var context, args, result;
+        var timer = clock || defaultClock;
         var timeout = null;
-        var previous = 0;
+        var previous = null;
         var later = function () {
-            previous = new Date;
+            previous = timer.now();
             timeout = null;
             result = func.apply(context, args);
         };
-        return function () {
-            var now = new Date;
-            if (!previous) previous = now;
-            var remaining = wait - (now - previous);
+        var throttled = function () {
+            var now = timer.now();
+            var remaining = previous === null ? 0 : wait - (now - previous);
             context = this;
             args = arguments;
             if (remaining <= 0) {
-                clearTimeout(timeout);
+                timer.clearTimeout(timeout);
                 timeout = null;
                 previous = now;
                 result = func.apply(context, args);
             } else if (!timeout) {
-                timeout = setTimeout(later, remaining);
+                timeout = timer.setTimeout(later, remaining);
             }
             return result;
         };
+        throttled.cancel = function () {
+            timer.clearTimeout(timeout);
+            previous = null;
+            timeout = null;
+        };
+        return throttled;
     }
 
-})(document, window);
+    return EngagementTimer;
+
+});
 /*
- * v2.1.1
+ * v3.0.0
  * Created by the Google Analytics consultants at http://www.lunametrics.com/
  * Written by @notdanwilkerson
  * Documentation: https://www.lunametrics.com/labs/recipes/engagement-timer/
@@ -1,6 +1,6 @@
-!function(a,b){"use strict";function c(a,b){this._interval=b,this._fn=a,this.tick()}function d(b){if(!b.each&&!b.every)throw new Error("Requires opts.each or opts.every.");if((b.idleAfter||b.engagementEvents)&&!(b.idleAfter&&b.engagementEvents&&b.engagementEvents.length))throw new Error("Configure opts.idleAfter & opts.engagementEvents for idling.");if(!(this instanceof d))return new d(b);if(this._context=b.context||a,"string"==typeof this._context&&(this._context=a.querySelector(b.context)),!this._context)throw new Error("Unable to find context "+b.context);this._max=1e3*b.max||1/0,this._min=1e3*b.min||0,this._every=(b.every||[]).map(function(a){return b.min?b.min%a+a:0}),this._every.initialValues=f(b.every||[]),this._each=f(b.each||[]),this._each.initialValues=this._each.slice(0),this._minInterval=1e3*h(this._every.initialValues.concat(this._each.initialValues)),this._idleAfter=1e3*b.idleAfter+1||null,this._lastTick=b.startTime,this._trackedTime=this._lastTick?+new Date-this._lastTick:0,this._tickElapsed=0,this._running=!1,this._offset=0,this._events={},this._cache={};var c,e=k(function(){this._running||this.start(),this._resetIdleTimeout()}.bind(this),this._idleTimeout/2),g=function(a){this._context.addEventListener(a,e)}.bind(this);b.engagementEvents&&b.engagementEvents.forEach(g),b.idleOnVisibilityChange&&j(function(a){a&&this._running?(this.pause(),c=!0):a||this._running||!c||this.start()}.bind(this)),this._trackedTime&&setTimeout(this._tick.bind(this),0)}function e(a,b){return a>b?1:b>a?-1:0}function f(a){return a.reduce(function(a,b){var c=Number(b);return c&&a.push(c),a},[]).sort(e)}function g(a,b){if(a=Math.abs(a),(b=Math.abs(b))>a)return g(b,a);for(;;){if(0===b)return a;if(0===(a%=b))return b;b%=a}}function h(a){if(1===a.length)return a[0];var b=a.pop();return a.reduce(function(a,b){return g(a,b)},b)}function i(a){return void 0!==a}function j(c){var d,e;i(a.hidden)?(e="hidden",d="visibilitychange"):i(a.mozHidden)?(e="mozHidden",d="mozvisibilitychange"):i(a.msHidden)?(e="msHidden",d="msvisibilitychange"):i(a.webkitHidden)&&(e="webkitHidden",d="webkitvisibilitychange"),d?a.addEventListener(d,function(){c(a[e])}):(b.addEventListener("blur",function(){c(!0)}),b.addEventListener("focus",function(){c(!1)}))}function k(a,b){var c,d,e,f=null,g=0,h=function(){g=new Date,f=null,e=a.apply(c,d)};return function(){var i=new Date;g||(g=i);var j=b-(i-g);return c=this,d=arguments,j<=0?(clearTimeout(f),f=null,g=i,e=a.apply(c,d)):f||(f=setTimeout(h,j)),e}}b.EngagementTimer=b.EngagementTimer||d,c.prototype.clear=function(){this._cleared=!0},c.prototype.tick=function(){setTimeout(function(){this._cleared||(this._fn(),this.tick())}.bind(this),this._interval)},d.prototype._startTimer=function(){this._Interval=new c(function(){this._tick(),this._Interval.clear(),this._Interval=new c(this._tick.bind(this),this._minInterval),this._tickElapsed=0}.bind(this),Math.min(this._minInterval-this._tickElapsed,this._minInterval))},d.prototype._tick=function(){var a=+new Date;if(this._trackedTime+=a-this._lastTick,this._lastTick=a,!(this._trackedTime<this._min))return this._trackedTime>this._max?void this.destroy():void this._checkMarks()},d.prototype.on=function(a,b){this._events[a]||(this._events[a]=[]),this._events[a].push(b)},d.prototype.reset=function(){this._each=this._each.initialValues.slice(0),this._every=this._every.initialValues.slice(0),this._lastTick=+new Date,this._tickRemainder=0,this._trackedTime=0,this._cache={},this.emit("reset",{data:{timestamp:+new Date}})},d.prototype.start=function(){var a=+new Date;this._running||(!this._idleTimer&&this._idleAfter&&this._resetIdleTimeout(),this._running=!0,this._startTimer(),this._lastTick=a-this._tickElapsed,this.emit("start",{data:{timestamp:a}}))},d.prototype.pause=function(){var a=+new Date;this._tickElapsed=a-this._lastTick,this._trackedTime+=this._tickElapsed,this._Interval&&this._Interval.clear(),clearTimeout(this._idleTimer),this._running=!1,this.emit("pause",{data:{timestamp:+new Date}})},d.prototype.emit=function(a,b){this._events[a]&&this._events[a].forEach(function(a){setTimeout(function(){a(b)},0)})},d.prototype.destroy=function(){this._Interval&&this._Interval.clear(),clearTimeout(this._idleTimeout)},d.prototype._checkMarks=function(){for(var a,b,c,d,f=Math.floor(this._trackedTime/1e3),g=[],h=0;this._each.length;){if((d=this._each.shift())>f){this._each.unshift(d);break}g.push(d)}for(;h<this._every.length;)if(d=this._every.initialValues[h],b=this._every[h],c=0,h+=1,b<=f){for(a=Math.floor((f-b)/d);c<a;)c+=1,g.push(d*c+b);this._every[h-1]=d*c}g.sort(e).forEach(this._checkMark.bind(this))},d.prototype._checkMark=function(a){this._cache[a]||(this._cache[a]=!0,this.emit("interval",{data:{time:a}}))},d.prototype._resetIdleTimeout=function(){clearTimeout(this._idleTimer),this._idleTimer=setTimeout(function(){this.pause(),this.emit("idle",{data:{timestamp:+new Date}}),this._idleTimer=null}.bind(this),this._idleAfter)}}(document,window);
+!function(t,e){"use strict";var i,n=t.EngagementTimer;"object"==typeof module&&module.exports?module.exports=e(t.document,t):"function"==typeof define&&define.amd?define([],function(){return e(t.document,t)}):((i=e(t.document,t)).noConflict=function(){return t.EngagementTimer=n,i},t.EngagementTimer=i)}("undefined"==typeof self?{}:self,function(a,_){"use strict";var r=["play","pause","ended"],i=["context","engagedTime","idleTime","markType","path","wallTime"],n=[],c=["adapter","clock","context","depth","each","engagementEvents","every","heartbeat","idleAfter","idleOnVisibilityChange","max","media","min","persist","plugins","router","sections","startTime","sync","transport","validation","visibleThreshold","weights"],s=["touchstart","touchmove","touchend","touchcancel"],h={each:"each",events:"engagementEvents",every:"every","idle-after":"idleAfter",max:"max",min:"min"},o={context:"engagement_context",engagementTime:"engagement_time_msec",idleCount:"engagement_idle_count",mark:"engagement_mark",markType:"engagement_mark_type"},d={clearTimeout:function(t){clearTimeout(t)},now:function(){var t="undefined"==typeof performance?null:performance;return t&&t.now?t.now():+new Date},setTimeout:function(t,e){return setTimeout(t,e)}},e={capture:function(e,t,i){return t.forEach(function(t){e.addEventListener(t,i,!0)}),function(){t.forEach(function(t){e.removeEventListener(t,i,!0)})}},find:function(t){return a.querySelector(t)},getLocation:function(){return _.location},getRoot:function(){return a},getStorage:function(){try{return _.sessionStorage||null}catch(t){return null}},listen:function(e,t,i){return t.forEach(function(t){e.addEventListener(t,i)}),function(){t.forEach(function(t){e.removeEventListener(t,i)})}},measureDepth:function(t){var e,i=a.documentElement,n=_.innerHeight||i.clientHeight;if(t===a)return z((_.pageYOffset||i.scrollTop)+n,Math.max(i.scrollHeight,a.body?a.body.scrollHeight:0));if(t.scrollHeight>t.clientHeight)return z(t.scrollTop+t.clientHeight,t.scrollHeight);return e=t.getBoundingClientRect(),z(n-e.top,e.height)},onExit:function(t,e){function i(){a.hidden?t():s()}var n=D(t),s=e||Q;$(a.hidden)&&a.addEventListener("visibilitychange",i);return _.addEventListener("pageshow",s),function(){n(),a.removeEventListener("visibilitychange",i),_.removeEventListener("pageshow",s)}},onHide:D,onNavigate:function(e){function t(){var t=q.indexOf(e);-1!==t&&q.splice(t,1)}return q.push(e),G||(G=!0,["pushState","replaceState"].forEach(function(t){var e=_.history[t];e&&(_.history[t]=function(){var t=e.apply(this,arguments);return U(),t})}),_.addEventListener("popstate",U),_.addEventListener("hashchange",U)),t},onScroll:F,onVisibilityChange:function(t){function e(){t(a[r])}function i(){t(!0)}function n(){t(!1)}var s,r;$(a.hidden)?(r="hidden",s="visibilitychange"):$(a.mozHidden)?(r="mozHidden",s="mozvisibilitychange"):$(a.msHidden)?(r="msHidden",s="msvisibilitychange"):$(a.webkitHidden)&&(r="webkitHidden",s="webkitvisibilitychange");if(s)return a.addEventListener(s,e),function(){a.removeEventListener(s,e)};return _.addEventListener("blur",i),_.addEventListener("focus",n),function(){_.removeEventListener("blur",i),_.removeEventListener("focus",n)}},send:function(t,e){if(_.navigator.sendBeacon&&_.navigator.sendBeacon(t,e))return;if(!_.fetch)return;_.fetch(t,{body:e,keepalive:!0,method:"POST"}).catch(function(){})},watchViewport:function(e,i,t){var n,s,r={element:e,handler:t,threshold:i,visible:null};R.push(r),_.IntersectionObserver?(n=function(i){j[i]||(j[i]=new _.IntersectionObserver(function(t){t.forEach(function(e){R.forEach(function(t){t.element===e.target&&t.threshold===i&&W(t,e.intersectionRatio)})})},{threshold:[i]}));return j[i]}(i)).observe(e):(s=F(function(){W(r,B(e))}),W(r,B(e)));return function(){R.splice(R.indexOf(r),1),s&&s(),n&&!R.some(function(t){return t.element===e&&t.threshold===i})&&n.unobserve(e)}}},u={capture:Q,find:X,getLocation:function(){return{hash:"",hostname:"",pathname:"",search:""}},getRoot:X,getStorage:X,listen:Q,measureDepth:function(){return 0},onExit:Q,onHide:Q,onNavigate:Q,onScroll:Q,onVisibilityChange:Q,send:Q,watchViewport:Q};function t(t,e,i){this._interval=e,this._fn=t,this._clock=i}function l(e,t){if(!(this instanceof l))return new l(e,t);this._plugins=x(e),function(t,e){var i=t.filter(function(t){return t.fatal}),n=t.map(function(t){return t.message});if(i.length)throw new Error(i[0].message);if(!t.length||!1===e)return;if("strict"===e)throw new Error(n.join(" "));n.forEach(function(t){k(t)})}(w(e=E(e,this._plugins),this._plugins),e.validation),this._adapter=K(e),this._context=e.context||this._adapter.getRoot(),"string"==typeof this._context&&(this._context=this._adapter.find(e.context));var i=function(e){var i={each:[],every:[],generators:[]};return(e.each||[]).forEach(function(t){"function"==typeof t?i.generators.push({fn:t,rule:null,type:"each"}):t&&"object"==typeof t?i.generators.push({fn:A(t,e.max),rule:t,type:"each"}):i.each.push(t)}),(e.every||[]).forEach(function(t){t&&"object"==typeof t?i.generators.push({fn:A({from:t.n,step:t.n,to:t.until},e.max),rule:t,type:"every"}):i.every.push(t)}),i}(e);this._opts=e,this._contextSelector="string"==typeof e.context?e.context:null,this._max=1e3*e.max||1/0,this._min=1e3*e.min||0,this._every=i.every.map(function(t){return e.min?e.min%t+t:0}),this._every.initialValues=T(i.every),this._each=T(i.each),this._each.initialValues=this._each.slice(0),this._generators=i.generators.map(function(t){return{fn:t.fn,next:C(t.fn,0),rule:t.rule,type:t.type}}),this._heartbeat=1e3*e.heartbeat||null,this._reported=0,this._restoredTime=0;var n=this._every.initialValues.concat(this._each.initialValues,T([e.heartbeat]));this._minInterval=this._generators.length?1e3:Math.max(1e3,Math.round(1e3*function(t){if(1===t.length)return t[0];var e=t.pop();return t.reduce(function(t,e){return function t(e,i){e=Math.abs(e);i=Math.abs(i);if(e<i)return t(i,e);for(;;){if(0===i)return e;if(0===(e%=i))return i;i%=e}}(t,e)},e)}(n))),this._idleAfter=1e3*e.idleAfter+1||null,this._clock=e.clock||d,this._lastTick=this._clock.now()-(e.startTime?Math.max(0,+new Date-e.startTime):0),this._startedAt=this._lastTick,this._trackedTime=this._clock.now()-this._lastTick,this._tickElapsed=0,this._pausedTime={hidden:0,idle:0},this._pausedAt=null,this._drift={max:0,ticks:0,total:0},this._idleEpisodes=0,this._running=!1,this._ended=!1,this._offset=0,this._events={},this._sync=Boolean(e.sync),this._cache={},this._teardown=[],this._group=t||null,this._persist=e.persist?function(t,e){var i="object"==typeof t?t:{},n=i.storage||e.getStorage();return n?{byPath:!i.id&&"site"!==i.scope,key:V(i,e),storage:n,timeout:1e3*(i.timeout||1800)}:null}(e.persist,this._adapter):null,this._transport=e.transport||null,this._persist&&this._restore(H(this._persist,this._getSchedule())),this._engagementEvents=e.engagementEvents||[],this._mediaEvents=e.media?r:[],this._media=[],this._onMediaEvent=this._onMedia.bind(this),this._weights=e.weights||null,this._onWeightedEvent=this._onWeighted.bind(this),this._score=0,this._windowScore=0,this._visibleThreshold=e.visibleThreshold,this._depthMarks=e.depth?T(!0===e.depth?[]:e.depth):null,this._depth=0,this._maxDepth=0,this._depthCache={},this._scrolled=null,this._engage=tt(function(){!1!==this._inView&&(this._hook("engage"),this._running||this.start(),this._idleAfter&&this._resetIdleTimeout())}.bind(this),this._idleAfter?this._idleAfter/2:1e3,this._clock);var s=this._context;this._context=null,this._bindContext(s),e.router&&(this._routeHash=Boolean(e.router.hash),this._path=J(this._adapter,this._routeHash)),this._group||(this._persist&&this._teardown.push(this._adapter.onHide(this._save.bind(this))),e.router&&this._teardown.push(this._adapter.onNavigate(this._onRouteChange.bind(this))),this._teardown.push(this._adapter.onExit(this._end.bind(this),this._onReturn.bind(this))),e.idleOnVisibilityChange&&this._teardown.push(this._adapter.onVisibilityChange(this._onVisibilityChange.bind(this)))),this._depthMarks&&(this._scrolled=tt(this._onScroll.bind(this),100,this._clock),this._teardown.push(this._adapter.onScroll(this._scrolled)),this._initialDepth=this._clock.setTimeout(this._onScroll.bind(this),0)),this._trackedTime&&(this._initialTick=this._clock.setTimeout(this._tick.bind(this),0)),this._hook("init")}function f(n){var s=Z({},n);if(!n.sections)throw new Error("Requires opts.sections.");delete s.sections,this._adapter=K(n),this._clock=n.clock||d,this._events={},this._plugins=[],this._sync=Boolean(n.sync),this._sections={},this._timers=[],this._teardown=[],Object.keys(n.sections).forEach(function(t){var e,i=Z({},s);i.context=n.sections[t],n.persist&&(i.persist=Z({},"object"==typeof n.persist?n.persist:{}),i.persist.id=N(i.persist,this._adapter)+":"+t),(e=new l(i,this))._section=t,this._sections[t]=e,this._timers.push(e)},this),n.persist&&this._teardown.push(this._adapter.onHide(Y(this._timers,"_save"))),n.router&&this._teardown.push(this._adapter.onNavigate(Y(this._timers,"_onRouteChange"))),this._teardown.push(this._adapter.onExit(Y(this._timers,"_end"),Y(this._timers,"_onReturn"))),n.idleOnVisibilityChange&&this._teardown.push(this._adapter.onVisibilityChange(Y(this._timers,"_onVisibilityChange")));var i=(n.engagementEvents||[]).concat(n.media?r:[],Object.keys(n.weights||{})),t=this._adapter.getRoot();t&&this._teardown.push(this._adapter.capture(t,i.filter(function(t,e){return i.indexOf(t)===e}),this._onEngagement.bind(this)))}function p(e,t,i){return t.forEach(function(t){e.on(t,i)}),function(){t.forEach(function(t){e.off(t,i)})}}function m(t,e){return e.section?t.section(e.section):t}function g(t){var e=t._context;return t._contextSelector?t._contextSelector:e&&e!==a?e.id?"#"+e.id:e.tagName.toLowerCase():"document"}function v(t){return Math.round(100*t)/100}function y(t,e){return e<t?1:t<e?-1:0}function T(t){return t.reduce(function(t,e){var i=Number(e);return i&&t.push(i),t},[]).sort(y)}function b(t,e){var i=l.reporters[t];if("function"==typeof t)return t;if(!i)throw new Error("Unknown reporter "+t);return function(t){return i(t,e)}}function k(t,e){var i="undefined"==typeof console?null:console;i&&i.warn&&(e?i.warn("EngagementTimer: "+t,e):i.warn("EngagementTimer: "+t))}function x(t){return n.concat((t.plugins||[]).filter(function(t){return-1===n.indexOf(t)}))}function E(t,e){var i=Z({},t);return e.forEach(function(t){var e=t.defaults||{};Object.keys(e).forEach(function(t){$(i[t])||(i[t]=e[t])})}),i}function w(n,t){function s(t,e,i){o.push({fatal:Boolean(i),message:e,path:t})}function r(t,e,i){s(t,"opts."+t+" should be "+e+" (got "+function(t){return"string"==typeof t?'"'+t+'"':String(t)}(i)+").")}var o=[],e=n.engagementEvents,i=K(n),a=i.getRoot(),h=t.reduce(function(t,e){return t.concat(Object.keys(e.defaults||{}))},[]);return Object.keys(n).forEach(function(t){-1===c.indexOf(t)&&-1===h.indexOf(t)&&s(t,"opts."+t+" isn't an option.")}),n.each||n.every||n.heartbeat||s("each","Requires opts.each, opts.every or opts.heartbeat.",!0),(n.each||[]).forEach(function(t,e){var i="each["+e+"]";"function"!=typeof t&&(t&&"object"==typeof t?L(t,n.max)||s(i,"opts."+i+" should have a step or factor and an end (or opts.max).",!0):O(t)||r(i,"a positive number of seconds",t))}),(n.every||[]).forEach(function(t,e){var i="every["+e+"]";t&&"object"==typeof t?L({from:t.n,step:t.n,to:t.until},n.max)||s(i,"opts."+i+" should have a positive n and an until (or opts.max).",!0):O(t)||r(i,"a positive number of seconds",t)}),["heartbeat","idleAfter","max"].forEach(function(t){$(n[t])&&!O(n[t])&&r(t,"a positive number of seconds",n[t])}),$(n.min)&&!S(n.min)?r("min","a number of seconds",n.min):O(n.max)&&Number(n.min)>Number(n.max)&&r("min","no more than opts.max",n.min),!n.idleAfter&&!e||n.idleAfter&&e&&e.length||s("idleAfter","Configure opts.idleAfter & opts.engagementEvents for idling.",!0),$(e)&&!Array.isArray(e)?r("engagementEvents","an array of event names",e):(e||[]).forEach(function(t,e){M(t)||r("engagementEvents["+e+"]","an event name this browser knows",t)}),Object.keys(n.weights||{}).forEach(function(t){M(t)?"number"==typeof n.weights[t]&&isFinite(n.weights[t])||r("weights."+t,"a number of points",n.weights[t]):s("weights."+t,"opts.weights."+t+" should be keyed by an event name this browser knows.")}),"string"==typeof n.context&&a&&!i.find(n.context)&&s("context","Unable to find context "+n.context,!0),$(n.visibleThreshold)&&(n.context&&n.context!==a||s("visibleThreshold","Configure opts.context as an element for opts.visibleThreshold.",!0),(!S(n.visibleThreshold)||1<n.visibleThreshold)&&r("visibleThreshold","a share of the context from 0 to 1",n.visibleThreshold)),Array.isArray(n.depth)?n.depth.forEach(function(t,e){(!O(t)||100<t)&&r("depth["+e+"]","a percentage from 1 to 100",t)}):$(n.depth)&&"boolean"!=typeof n.depth&&r("depth","an array of percentages or true",n.depth),$(n.validation)&&-1===["strict","warn",!1].indexOf(n.validation)&&r("validation","'strict', 'warn' or false",n.validation),t.forEach(function(t){var e=t.validate?t.validate(n):null,i=t.name||"Plugin";e&&s(i,i+": "+e,!0)}),o}function M(t){var e="on"+t;return!("string"!=typeof t||!t)&&(!a||(-1<s.indexOf(t)||e in _||e in a||e in a.documentElement))}function S(t){var e=Number(t);return("number"==typeof t||"string"==typeof t&&""!==t)&&0<=e&&e<1/0}function O(t){return S(t)&&0<Number(t)}function A(s,t){var r=$(s.to)?Number(s.to):t,o=$(s.from)?Number(s.from):Number(s.step),a=Number(s.factor),h=Number(s.step);if(!L(s,t))throw new Error("Configure a step or factor and an end (or opts.max) for each schedule rule.");return function(t){var e,i=t+.5,n=0;return o<i&&(n=Math.ceil(s.factor?Math.log(i/o)/Math.log(a):(i-o)/h)),(e=s.factor?o*Math.pow(a,n):o+n*h)<i&&(e=s.factor?e*a:e+h),e<=r?Math.round(e):null}}function L(t,e){var i=$(t.to)?Number(t.to):e,n=$(t.from)?Number(t.from):Number(t.step);return(0<t.step||1<t.factor&&0<n)&&i<1/0}function C(t,e){var i=Number(t(e));return e<i?i:null}function V(t,e){return"engagementTimer:"+N(t,e)}function N(t,e){var i=e.getLocation();return t.id||("site"===t.scope?i.hostname:i.pathname)}function H(t,e){var i;try{i=JSON.parse(t.storage.getItem(t.key))}catch(t){return null}return!i||i.schedule!==e||+new Date-i.savedAt>t.timeout?null:i}function D(t){var e="onpagehide"in _?"pagehide":"beforeunload";return _.addEventListener(e,t),function(){_.removeEventListener(e,t)}}t.prototype.start=function(t){return this._expected=this._clock.now()+Math.max(0,t),this.tick(),this},t.prototype.clear=function(){this._cleared=!0,this._clock.clearTimeout(this._timeout)},t.prototype.tick=function(){this._timeout=this._clock.setTimeout(function(){var t=this._clock.now(),e=t-this._expected;for(this._expected+=this._interval;0<this._interval&&this._expected<=t;)this._expected+=this._interval;this._fn(e),this._cleared||this.tick()}.bind(this),Math.max(0,this._expected-this._clock.now()))},l.prototype._startTimer=function(){this._Interval=new t(function(t){this._tick(t),this._tickElapsed=0}.bind(this),this._minInterval,this._clock),this._Interval.start(Math.min(this._minInterval-this._tickElapsed,this._minInterval))},l.prototype._tick=function(t){this._hook("beforeTick"),this._advance(t),this._destroyed||this._hook("afterTick")},l.prototype._advance=function(t){var e=this._clock.now();if($(t)&&(this._drift.ticks+=1,this._drift.total+=Math.max(0,t),this._drift.max=Math.max(this._drift.max,t)),this._trackedTime+=e-this._lastTick,this._lastTick=e,this._save(),this._heartbeat&&this._trackedTime-this._reported>=this._heartbeat&&this._beat("interval"),!(this._trackedTime<this._min))return this._trackedTime>this._max?(this._end(),void this.destroy()):void this._checkMarks()},l.prototype._bindContext=function(t){var e=this._adapter,i=[];this._unbindContext&&this._unbindContext(),this._context=t,this._unbindContext=null,t&&(this._group||(i.push(e.listen(t,this._engagementEvents,this._engage)),i.push(e.listen(t,Object.keys(this._weights||{}),this._onWeightedEvent)),i.push(e.capture(t,this._mediaEvents,this._onMediaEvent))),$(this._visibleThreshold)&&i.push(e.watchViewport(t,this._visibleThreshold,this._onViewportChange.bind(this))),this._unbindContext=function(t){return function(){t.forEach(function(t){t()})}}(i))},l.prototype._onWeighted=function(t){var e=this._weights&&this._weights[t.type];e&&!1!==this._inView&&!this._destroyed&&(this._score+=e,this._windowScore+=e)},l.prototype._onMedia=function(t){var e=this._getMediaWatch(t.target),i=this._clock.now();"play"===t.type?(null===e.playingSince&&(e.playingSince=i),this._running||this.start()):null!==e.playingSince&&(e.time+=i-e.playingSince,e.playingSince=null),this._running&&this._idleAfter&&this._resetIdleTimeout()},l.prototype._getMediaWatch=function(t){var e;for(e=0;e<this._media.length;e++)if(this._media[e].element===t)return this._media[e];return this._media.push({element:t,playingSince:null,time:0}),this._media[this._media.length-1]},l.prototype._getMediaReport=function(){var i=this._clock.now();return this._media.map(function(t){var e=t.time+(null===t.playingSince?0:i-t.playingSince);return{id:t.element.id||null,src:t.element.currentSrc||t.element.src||null,time:Math.floor(e/1e3)}})},l.prototype._onVisibilityChange=function(t){t&&this._running?(this._beat("hidden"),this.pause(),this._pausedFor="hidden",this._pausedOnHide=!0):t&&"idle"===this._pausedFor?(this._setPauseReason("hidden"),this._idleWhenHidden=!0):!t&&this._idleWhenHidden?(this._idleWhenHidden=!1,this._setPauseReason("idle")):t||this._running||!this._pausedOnHide||this.start()},l.prototype._setPauseReason=function(t){var e=this._clock.now();this._pausedFor&&(this._pausedTime[this._pausedFor]+=e-this._pausedAt),this._pausedAt=e,this._pausedFor=t},l.prototype._onScroll=function(){var e;this._context&&(e=this._adapter.measureDepth(this._context),(this._depth=e)<=this._maxDepth||(this._maxDepth=e,this._depthMarks.forEach(function(t){e<t||this._depthCache[t]||(this._depthCache[t]=!0,this.emit("depth",{data:{depth:t,time:Math.floor(this._getTrackedTime()/1e3),timestamp:+new Date}}))},this)))},l.prototype._onViewportChange=function(t){this._inView=t,this.emit(t?"visible":"hidden",{data:{timestamp:+new Date}}),!t&&this._running?(this.pause(),this._pausedFor="hidden",this._pausedOffscreen=!0):t&&this._pausedOffscreen&&(this._pausedOffscreen=!1,this.start())},l.prototype._onRouteChange=function(){var t=J(this._adapter,this._routeHash),e=null;t!==this._path&&(this.emit("summary",{data:this._getSummary()}),this._persist&&this._persist.byPath&&(this._save(),this._persist.key=V(this._persist,this._adapter),e=H(this._persist,this._getSchedule())),this._path=t,this.reset(),e&&(this._restore(e),this._save()),this._contextSelector&&(this._rebindTimeout=this._clock.setTimeout(function(){this._bindContext(this._adapter.find(this._contextSelector))}.bind(this),0)))},l.prototype._end=function(){var t,e;this._ended||(this._ended=!0,this._beat("exit"),(t=this._getSummary()).hiddenTime=Math.floor(this._getPausedTime("hidden")/1e3),t.idleEpisodes=this._idleEpisodes,t.idleTime=Math.floor(this._getPausedTime("idle")/1e3),t.wallTime=Math.floor((this._clock.now()-this._startedAt)/1e3),this._transport&&(e=this._transport.serialize||JSON.stringify,this._adapter.send(this._transport.url,e(t))),this.emit("end",{data:t}))},l.prototype._onReturn=function(){this._ended=!1},l.prototype._getSummary=function(){return{marks:this._getMarks(),path:this._path||J(this._adapter,!1),time:Math.floor(this._getTrackedTime()/1e3),timestamp:+new Date}},l.prototype.getState=function(){return{destroyed:Boolean(this._destroyed),drift:{average:this._drift.ticks?Math.round(this._drift.total/this._drift.ticks):0,max:Math.round(this._drift.max)},engagedTime:this._getTrackedTime(),hiddenTime:this._getPausedTime("hidden"),idle:Boolean(this._idle),idleEpisodes:this._idleEpisodes,idleTime:this._getPausedTime("idle"),marks:this._getMarks(),nextMark:this._getNextMark(),options:this._getOptions(),running:this._running,score:v(this._score),wallTime:this._clock.now()-this._startedAt}},l.prototype.toJSON=function(){var e=this._getOptions(),t=this._serialize();return e.context=this._contextSelector,"object"==typeof e.persist&&(e.persist=Z({},e.persist),delete e.persist.storage),delete e.startTime,delete e.clock,delete e.adapter,delete e.plugins,e.each=e.each.filter(function(t){return"function"!=typeof t}),t.generated=t.generated.filter(function(t,e){return null!==this._generators[e].rule},this),Object.keys(e).forEach(function(t){null===e[t]&&delete e[t]}),{options:e,state:t}},l.prototype._getOptions=function(){return Z(Z({},this._opts),{context:this._context,each:this._each.initialValues.concat(this._getGenerated("each")),every:this._every.initialValues.concat(this._getGenerated("every")),idleAfter:this._idleAfter?(this._idleAfter-1)/1e3:null,max:this._max===1/0?null:this._max/1e3,min:this._min/1e3})},l.prototype._getGenerated=function(e){return this._generators.filter(function(t){return t.type===e}).map(function(t){return t.rule||t.fn})},l.prototype._getMarks=function(){return Object.keys(this._cache).map(Number).sort(y)},l.prototype._getNextMark=function(){var i=Math.max(Math.floor(this._getTrackedTime()/1e3),Math.ceil(this._min/1e3)-1),n=this._each.length?this._each[0]:1/0;return this._every.initialValues.forEach(function(t){for(var e=(Math.floor(i/t)+1)*t;this._cache[e];)e+=t;n=Math.min(n,e)},this),this._generators.forEach(function(t){null!==t.next&&(n=Math.min(n,t.next))}),n===1/0||1e3*n>this._max?null:n},l.prototype._getPausedTime=function(t){var e=this._pausedTime[t];return null!==this._pausedAt&&this._pausedFor===t&&(e+=this._clock.now()-this._pausedAt),e},l.prototype.on=function(t,e){this._events[t]||(this._events[t]=[]),this._events[t].push(e)},l.prototype.off=function(t,e){var i=this._events[t];i&&(e?this._events[t]=i.filter(function(t){return t!==e&&t._handler!==e}):delete this._events[t])},l.prototype.once=function(i,n){var s=function(t,e){this.off(i,s),n(t,e)}.bind(this);s._handler=n,this.on(i,s)},l.prototype.reset=function(){var t=this._each.initialValues,e=this._every.initialValues;this._beat("reset"),this._each=t.slice(0),this._each.initialValues=t,this._every=e.map(function(){return 0}),this._every.initialValues=e,this._generators.forEach(function(t){t.next=C(t.fn,0)}),this._lastTick=this._clock.now(),this._startedAt=this._lastTick,this._pausedTime={hidden:0,idle:0},this._pausedAt=null===this._pausedAt?null:this._lastTick,this._idleEpisodes=0,this._media=this._media.filter(function(t){return t.time=0,null!==t.playingSince&&(t.playingSince=this._lastTick,!0)},this),this._tickRemainder=0,this._trackedTime=0,this._reported=0,this._restoredTime=0,this._ended=!1,this._cache={},this._depth=0,this._maxDepth=0,this._depthCache={},this._score=0,this._windowScore=0,this._save(),this.emit("reset",{data:{timestamp:+new Date}})},l.prototype.start=function(){var t=this._clock.now(),e=null;this._running||this._destroyed||(!1!==this._inView?(!this._idleTimer&&this._idleAfter&&this._resetIdleTimeout(),null!==this._pausedAt&&(this._pausedFor&&(this._pausedTime[this._pausedFor]+=t-this._pausedAt),e={away:Math.floor((t-this._pausedAt)/1e3),reason:this._pausedFor||"pause",timestamp:+new Date},this._pausedAt=null,this._idleWhenHidden=!1),this._running=!0,this._idle=!1,this._startTimer(),this._lastTick=t,this.emit("start",{data:{timestamp:+new Date}}),e&&(this.emit("resume",{data:e}),this._hook("resume",e))):this._pausedOffscreen=!0)},l.prototype.pause=function(){var t=this._clock.now();this._running&&(this._pausedAt=t,this._pausedFor=null,this._tickElapsed+=t-this._lastTick,this._trackedTime+=t-this._lastTick,this._running=!1,this._beat("pause"),this._Interval&&this._Interval.clear(),this._clock.clearTimeout(this._idleTimer),this._save(),this.emit("pause",{data:{timestamp:+new Date}}),this._hook("pause"))},l.prototype.emit=function(i,n){var t=this._plugins.some(function(t){var e=t.beforeEmit?t.beforeEmit(this,i,n):null;return!1===e||(e&&(n=e),!1)},this),s=function(t,e){if(-1!==(this._events[t]||[]).indexOf(e))try{e(n,i)}catch(t){this._onHandlerError(t,i)}}.bind(this);t||(this._group&&(n.data.section=this._section,this._group.emit(i,n)),[i,"*"].forEach(function(e){(this._events[e]||[]).forEach(function(t){this._sync?s(e,t):this._clock.setTimeout(function(){s(e,t)},0)},this)},this))},l.prototype._onHandlerError=function(t,e){"error"!==e&&(this._events.error||[]).length?this.emit("error",{data:{error:t,event:e,timestamp:+new Date}}):this._clock.setTimeout(function(){throw t},0)},l.prototype.destroy=function(){this._destroyed||(this._beat("destroy"),this._trackedTime=this._getTrackedTime(),this._Interval&&this._Interval.clear(),this._clock.clearTimeout(this._idleTimer),this._clock.clearTimeout(this._initialTick),this._clock.clearTimeout(this._initialDepth),this._clock.clearTimeout(this._rebindTimeout),this._engage.cancel(),this._scrolled&&this._scrolled.cancel(),this._bindContext(null),this._teardown.forEach(function(t){t()}),this._teardown=[],this._running=!1,this._destroyed=!0,this._hook("destroy"),this.emit("destroy",{data:{timestamp:+new Date}}))},l.prototype.engage=function(){this._destroyed||this._engage()},l.prototype._hook=function(e,i){this._plugins.forEach(function(t){t[e]&&t[e](this,i)},this)},l.prototype._beat=function(t){var e;this._heartbeat&&((e=Math.floor(this._getTrackedTime()))<=this._reported||(this.emit("heartbeat",{data:{delta:e-this._reported,engagedTime:e,reason:t,timestamp:+new Date}}),this._reported=e))},l.prototype._checkMarks=function(){for(var t,e,i,n,s=Math.floor(this._trackedTime/1e3),r={},o=[],a=0;this._each.length;){if(n=this._each.shift(),s<n){this._each.unshift(n);break}o.push(n)}for(;a<this._every.length;)if(n=this._every.initialValues[a],e=this._every[a],i=0,a+=1,e<=s){for(t=Math.floor((s-e)/n);i<t;)i+=1,o.push(n*i+e),r[n*i+e]=!0;this._every[a-1]=n*i}this._generators.forEach(function(t){for(;null!==t.next&&t.next<=s;)o.push(t.next),"every"===t.type&&(r[t.next]=!0),t.next=C(t.fn,t.next)}),o.sort(y).forEach(function(t){this._checkMark(t,r[t]?"every":"each")},this)},l.prototype._checkMark=function(t,e){var i,n=this._trackedTime-Math.max(1e3*t,this._min);this._cache[t]||(i={time:t,type:e},n>=this._minInterval&&(i.late=!0,i.scheduled=+new Date-n),this._mediaEvents.length&&(i.media=this._getMediaReport()),this._depthMarks&&(i.depth=this._depth,i.maxDepth=this._maxDepth),this._weights&&(i.score=v(this._windowScore),i.totalScore=v(this._score),this._windowScore=0),this._cache[t]=!0,this._save(),this.emit("interval",{data:i}))},l.prototype._getTrackedTime=function(){return this._running?this._trackedTime+(this._clock.now()-this._lastTick):this._trackedTime},l.prototype._getSchedule=function(){var t=this._each.initialValues.join(",")+"|"+this._every.initialValues.join(","),e=this._generators.map(function(t){return t.rule?JSON.stringify(t.rule):"function"});return e.length?t+"|"+e.join(","):t},l.prototype._serialize=function(){return{cache:this._cache,each:this._each.slice(0),every:this._every.slice(0),generated:this._generators.map(function(t){return t.next}),idleEpisodes:this._idleEpisodes,pausedTime:{hidden:this._getPausedTime("hidden"),idle:this._getPausedTime("idle")},schedule:this._getSchedule(),trackedTime:this._getTrackedTime()}},l.prototype._restore=function(t){var e,i;t&&((e=t.each.slice(0)).initialValues=this._each.initialValues,(i=t.every.slice(0)).initialValues=this._every.initialValues,this._each=e,this._every=i,this._cache=Z({},t.cache),this._trackedTime+=t.trackedTime,this._reported+=t.trackedTime,this._restoredTime+=t.trackedTime,(t.generated||[]).forEach(function(t,e){this._generators[e]&&(this._generators[e].next=t)},this),t.pausedTime&&(this._pausedTime.hidden+=t.pausedTime.hidden,this._pausedTime.idle+=t.pausedTime.idle,this._idleEpisodes+=t.idleEpisodes))},l.prototype._save=function(){var t;if(this._persist){(t=this._serialize()).savedAt=+new Date;try{this._persist.storage.setItem(this._persist.key,JSON.stringify(t))}catch(t){}}},l.prototype._resetIdleTimeout=function(){this._clock.clearTimeout(this._idleTimer),this._idleTimer=this._clock.setTimeout(function(){var t=this._media.some(function(t){return null!==t.playingSince});this._idleTimer=null,t?this._resetIdleTimeout():(this._beat("idle"),this.pause(),this._pausedFor="idle",this._idle=!0,this._idleEpisodes+=1,this.emit("idle",{data:{timestamp:+new Date}}),this._idleTimer=null)}.bind(this),this._idleAfter)},l.use=function(e){return-1===n.indexOf(e)&&n.push(e),function(){var t=n.indexOf(e);-1!==t&&n.splice(t,1)}},l.validate=function(t){var e=x(t);return w(E(t,e),e)},l.fromJSON=function(t){var e="string"==typeof t?JSON.parse(t):t,i=new l(e.options);return i._trackedTime=0,i._reported=0,i._restoredTime=0,i._pausedTime={hidden:0,idle:0},i._idleEpisodes=0,i._restore(e.state),i},l.group=function(t){return new f(t)},l.autoInit=function(t){function e(){var t=n.querySelectorAll("[data-engagement-timer]");Array.prototype.forEach.call(t,function(e){var t;s.some(function(t){return t.element===e})||(t=function(n,t){var e,i,s=Z({},t.defaults||{}),r=t.reporter||"dataLayer",o=[];if(s.context="document"===n.getAttribute("data-engagement-timer")?a:n,["every","each","events","idle-after","min","max"].forEach(function(t){var e,i=n.getAttribute("data-"+t);null!==i&&(null!==(e=function(t,e){var i,n=e.split(/[\s,]+/).filter(Boolean);return"events"!==t?!(i=n.map(Number)).length||i.some(function(t){return isNaN(t)||t<0})?null:"every"===t||"each"===t?i:1===i.length?i[0]:null:n.length?n:null}(t,i))?s[h[t]]=e:o.push("data-"+t+'="'+i+'" should be '+("events"===t?"a list of event names":"a number of seconds")))}),o.length)return k(o.join("; "),n),null;try{e=new l(s)}catch(t){return k(t.message,n),null}return i=b(r,t.reporterOptions)(e),e.start(),{element:n,stopReporting:i||function(){},timer:e}}(e,i))&&s.push(t)})}var i=t||{},n=i.root||a,s=[],r=null;return e(),_.MutationObserver?(r=new _.MutationObserver(function(){s=s.filter(function(t){return!!a.documentElement.contains(t.element)||(t.stopReporting(),t.timer.destroy(),!1)}),e()})).observe(n,{childList:!0,subtree:!0}):"loading"===a.readyState&&a.addEventListener("DOMContentLoaded",e),{destroy:function(){r&&r.disconnect(),a.removeEventListener("DOMContentLoaded",e),s.forEach(function(t){t.stopReporting(),t.timer.destroy()}),s=[]},timers:function(){return s.map(function(t){return t.timer})}}},l.track=function(t,e,i){var n=b(e||"dataLayer",i),s=new l(t),r=n(s);return"function"==typeof r&&s.once("destroy",r),s.start(),s},l.reporters={dataLayer:function(h,t){var e=t||{},c=e.eventName||"engagementTimer",u=e.dataLayerName||"dataLayer",d=e.fields||i;return p(h,e.events||["interval"],function(t,e){var i=t.data,n=m(h,i),s=n.getState(),r=Math.floor(s.engagedTime/1e3),o={context:i.section||g(n),engagedTime:r,idleTime:Math.floor(s.idleTime/1e3),markType:i.type||null,path:J(n._adapter,!1),wallTime:Math.floor(s.wallTime/1e3)},a={action:e,counter:$(i.time)?i.time:r};d.forEach(function(t){a[t]=o[t]}),_[u]=_[u]||[],_[u].push({attributes:a,event:c})})},ga4:function(h,t){var c=t||{},u=Z(Z({},o),c.params||{}),d=c.eventName||"engagement_timer",e=(c.events||["interval","heartbeat"]).concat("reset"),l={};return p(h,e,function(t,e){var i=t.data,n=i.section||"",s=m(h,i),r=s.getState(),o=$(i.engagedTime)?i.engagedTime:r.engagedTime,a={};"reset"!==e?($(l[n])||(l[n]=s._restoredTime||0),a[u.engagementTime]=Math.round(Math.max(0,o-l[n])),a[u.mark]=$(i.time)?i.time:Math.floor(o/1e3),a[u.markType]="interval"===e?i.type:e,a[u.context]=i.section||g(s),a[u.idleCount]=r.idleEpisodes,l[n]=Math.max(o,l[n]),function(t,e,i){var n=_.gtag,s=i.dataLayerName||"dataLayer";if("gtag"===(i.transport||("function"==typeof n?"gtag":"dataLayer")))return n("event",t,e);_[s]=_[s]||[],_[s].push(Z({event:t},e))}(d,a,c)):delete l[n]})}},l.adapters={browser:e,headless:u},f.prototype._onEngagement=function(i){var n=-1!==r.indexOf(i.type);this._timers.forEach(function(t){var e=t._context;e&&(n&&t._mediaEvents.length&&(e===a||e.contains(i.target))?t._onMedia(i):n||i.target!==a&&i.target!==_&&e!==a&&!e.contains(i.target)||(-1!==t._engagementEvents.indexOf(i.type)&&t._engage(),t._onWeighted(i)))})},["on","off","once","emit","_onHandlerError"].forEach(function(t){f.prototype[t]=l.prototype[t]}),["start","pause","reset"].forEach(function(e){f.prototype[e]=function(){this._timers.forEach(function(t){t[e]()})}}),f.prototype.destroy=function(){this._timers.forEach(function(t){t.destroy()}),this._teardown.forEach(function(t){t()}),this._teardown=[]},f.prototype.section=function(t){return this._sections[t]};var R=[],j={};var I=[],P=function(){I.slice(0).forEach(function(t){t()})};function F(e){return I.length||(_.addEventListener("scroll",P,!0),_.addEventListener("resize",P)),I.push(e),function(){var t=I.indexOf(e);-1!==t&&(I.splice(t,1),I.length||(_.removeEventListener("scroll",P,!0),_.removeEventListener("resize",P)))}}function W(t,e){var i=t.threshold?e>=t.threshold:0<e;i!==t.visible&&(t.visible=i,t.handler(i))}function B(t){var e=t.getBoundingClientRect(),i=_.innerHeight||a.documentElement.clientHeight,n=_.innerWidth||a.documentElement.clientWidth,s=Math.min(e.bottom,i)-Math.max(e.top,0),r=Math.min(e.right,n)-Math.max(e.left,0),o=e.width*e.height;return!o||s<=0||r<=0?0:s*r/o}function z(t,e){return e?Math.max(0,Math.min(100,Math.floor(t/e*100))):0}function J(t,e){var i=t.getLocation();return i.pathname+i.search+(e?i.hash:"")}var q=[],G=!(f.prototype.report=function(){var n={};return Object.keys(this._sections).forEach(function(t){var e=this._sections[t],i=e._getSummary();n[t]={idle:Boolean(e._idle),marks:i.marks,running:e._running,time:i.time}},this),n});function U(){q.slice(0).forEach(function(t){t()})}function Y(t,i){return function(e){t.forEach(function(t){t[i](e)})}}function K(t){return Z(Z({},a?e:u),t.adapter||{})}function Q(){return function(){}}function X(){return null}function Z(e,i){return Object.keys(i).forEach(function(t){e[t]=i[t]}),e}function $(t){return void 0!==t}function tt(i,n,t){function s(){u=h.now(),c=null,a=i.apply(r,o)}function e(){var t=h.now(),e=null===u?0:n-(t-u);return r=this,o=arguments,e<=0?(h.clearTimeout(c),c=null,u=t,a=i.apply(r,o)):c=c||h.setTimeout(s,e),a}var r,o,a,h=t||d,c=null,u=null;return e.cancel=function(){h.clearTimeout(c),c=u=null},e}return l});
 /*
- * v2.1.1
+ * v3.0.0
  * Created by the Google Analytics consultants at http://www.lunametrics.com/
  * Written by @notdanwilkerson
  * Documentation: https://www.lunametrics.com/labs/recipes/engagement-timer/
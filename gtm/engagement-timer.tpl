@@ -0,0 +1,969 @@
+___TERMS_OF_SERVICE___
+
+By creating or modifying this file you agree to Google Tag Manager's Community
+Template Gallery Developer Terms of Service available at
+https://developers.google.com/tag-manager/gallery-tos (or such other URL as
+Google may provide), as modified from time to time.
+
+
+___INFO___
+
+{
+  "type": "TAG",
+  "id": "cvt_temp_public_id",
+  "version": 1,
+  "securityGroups": [],
+  "displayName": "Engagement Timer",
+  "categories": [
+    "ANALYTICS"
+  ],
+  "brand": {
+    "id": "brand_dummy",
+    "displayName": "LunaMetrics"
+  },
+  "description": "Measures engaged time on the page and pushes engagement_timer events to the dataLayer for a GA4 event tag, like the CU - Engagement Timer - LunaMetrics Plugin tag.",
+  "containerContexts": [
+    "WEB"
+  ]
+}
+
+
+___TEMPLATE_PARAMETERS___
+
+[
+  {
+    "type": "GROUP",
+    "name": "marks",
+    "displayName": "Marks",
+    "groupStyle": "NO_ZIPPY",
+    "subParams": [
+      {
+        "type": "SIMPLE_TABLE",
+        "name": "every",
+        "displayName": "Every",
+        "help": "Pushes an event every n seconds of engaged time.",
+        "simpleTableColumns": [
+          {
+            "defaultValue": "",
+            "displayName": "Seconds",
+            "name": "seconds",
+            "type": "TEXT",
+            "valueValidators": [
+              {
+                "type": "POSITIVE_NUMBER"
+              }
+            ]
+          }
+        ],
+        "defaultValue": [
+          {
+            "seconds": "30"
+          }
+        ],
+        "newRowButtonText": "Add interval"
+      },
+      {
+        "type": "SIMPLE_TABLE",
+        "name": "each",
+        "displayName": "Each",
+        "help": "Pushes an event once at each of these times.",
+        "simpleTableColumns": [
+          {
+            "defaultValue": "",
+            "displayName": "Seconds",
+            "name": "seconds",
+            "type": "TEXT",
+            "valueValidators": [
+              {
+                "type": "POSITIVE_NUMBER"
+              }
+            ]
+          }
+        ],
+        "newRowButtonText": "Add time"
+      },
+      {
+        "type": "TEXT",
+        "name": "heartbeat",
+        "displayName": "Heartbeat (seconds)",
+        "help": "Seconds of engaged time between heartbeats. Heartbeats are also sent when the timer pauses, idles, is hidden or the page is left. Leave empty for no heartbeats.",
+        "simpleValueType": true,
+        "valueValidators": [
+          {
+            "type": "POSITIVE_NUMBER"
+          }
+        ],
+        "canBeEmptyString": true
+      },
+      {
+        "type": "TEXT",
+        "name": "min",
+        "displayName": "Min time on page (seconds)",
+        "simpleValueType": true,
+        "defaultValue": "0",
+        "valueValidators": [
+          {
+            "type": "NON_NEGATIVE_NUMBER"
+          }
+        ]
+      },
+      {
+        "type": "TEXT",
+        "name": "max",
+        "displayName": "Max time on page (seconds)",
+        "simpleValueType": true,
+        "defaultValue": "1800",
+        "valueValidators": [
+          {
+            "type": "POSITIVE_NUMBER"
+          }
+        ]
+      },
+      {
+        "type": "CHECKBOX",
+        "name": "countFromPageLoad",
+        "checkboxText": "Count time from when the container started loading",
+        "simpleValueType": true,
+        "defaultValue": false,
+        "help": "Uses gtm.start as the start time instead of when this tag fires."
+      }
+    ]
+  },
+  {
+    "type": "GROUP",
+    "name": "engagement",
+    "displayName": "Engagement",
+    "groupStyle": "NO_ZIPPY",
+    "subParams": [
+      {
+        "type": "TEXT",
+        "name": "idleAfter",
+        "displayName": "Time before considered idle (seconds)",
+        "simpleValueType": true,
+        "defaultValue": "60",
+        "valueValidators": [
+          {
+            "type": "POSITIVE_NUMBER"
+          }
+        ],
+        "canBeEmptyString": true
+      },
+      {
+        "type": "SIMPLE_TABLE",
+        "name": "engagementEvents",
+        "displayName": "Engagement events",
+        "help": "Events in the context that keep the timer from going idle.",
+        "simpleTableColumns": [
+          {
+            "defaultValue": "",
+            "displayName": "Event",
+            "name": "event",
+            "type": "TEXT",
+            "valueValidators": [
+              {
+                "type": "NON_EMPTY"
+              }
+            ]
+          }
+        ],
+        "defaultValue": [
+          {
+            "event": "click"
+          },
+          {
+            "event": "touchstart"
+          },
+          {
+            "event": "scroll"
+          },
+          {
+            "event": "keydown"
+          },
+          {
+            "event": "mousemove"
+          }
+        ],
+        "newRowButtonText": "Add event"
+      },
+      {
+        "type": "CHECKBOX",
+        "name": "idleOnVisibilityChange",
+        "checkboxText": "Pause while the tab is hidden",
+        "simpleValueType": true,
+        "defaultValue": true
+      },
+      {
+        "type": "CHECKBOX",
+        "name": "media",
+        "checkboxText": "Count audio and video playing in the context as engagement",
+        "simpleValueType": true,
+        "defaultValue": false
+      },
+      {
+        "type": "SIMPLE_TABLE",
+        "name": "weights",
+        "displayName": "Engagement score weights",
+        "help": "Points per event in the context, to score how actively each interval was spent. The score is on the timer's interval events; this tag doesn't push it.",
+        "simpleTableColumns": [
+          {
+            "defaultValue": "",
+            "displayName": "Event",
+            "name": "event",
+            "type": "TEXT",
+            "valueValidators": [
+              {
+                "type": "NON_EMPTY"
+              }
+            ]
+          },
+          {
+            "defaultValue": "1",
+            "displayName": "Points",
+            "name": "points",
+            "type": "TEXT",
+            "valueValidators": [
+              {
+                "type": "NUMBER"
+              }
+            ]
+          }
+        ],
+        "newRowButtonText": "Add weight"
+      }
+    ]
+  },
+  {
+    "type": "GROUP",
+    "name": "page",
+    "displayName": "Context",
+    "groupStyle": "ZIPPY_CLOSED",
+    "subParams": [
+      {
+        "type": "TEXT",
+        "name": "context",
+        "displayName": "Context selector",
+        "help": "CSS selector for the element to track. Leave empty to track the whole page.",
+        "simpleValueType": true,
+        "canBeEmptyString": true
+      },
+      {
+        "type": "TEXT",
+        "name": "visibleThreshold",
+        "displayName": "Share of the context that must be in view (0 to 1)",
+        "simpleValueType": true,
+        "valueValidators": [
+          {
+            "type": "REGEX",
+            "args": [
+              "^(0(\\.[0-9]+)?|1(\\.0+)?)?$"
+            ]
+          }
+        ],
+        "canBeEmptyString": true,
+        "enablingConditions": [
+          {
+            "paramName": "context",
+            "paramValue": "",
+            "type": "PRESENT"
+          }
+        ]
+      },
+      {
+        "type": "SIMPLE_TABLE",
+        "name": "depth",
+        "displayName": "Scroll depths",
+        "help": "Percentages of the context the timer emits depth events at. The events are for other listeners on the timer; this tag only pushes marks and heartbeats.",
+        "simpleTableColumns": [
+          {
+            "defaultValue": "",
+            "displayName": "Percent",
+            "name": "percent",
+            "type": "TEXT",
+            "valueValidators": [
+              {
+                "type": "POSITIVE_NUMBER"
+              }
+            ]
+          }
+        ],
+        "newRowButtonText": "Add depth"
+      },
+      {
+        "type": "CHECKBOX",
+        "name": "router",
+        "checkboxText": "Treat history changes as new page views",
+        "simpleValueType": true,
+        "defaultValue": false
+      },
+      {
+        "type": "CHECKBOX",
+        "name": "routerHash",
+        "checkboxText": "Treat hash changes as new page views",
+        "simpleValueType": true,
+        "defaultValue": false,
+        "enablingConditions": [
+          {
+            "paramName": "router",
+            "paramValue": true,
+            "type": "EQUALS"
+          }
+        ]
+      }
+    ]
+  },
+  {
+    "type": "GROUP",
+    "name": "saving",
+    "displayName": "Persistence",
+    "groupStyle": "ZIPPY_CLOSED",
+    "subParams": [
+      {
+        "type": "CHECKBOX",
+        "name": "persist",
+        "checkboxText": "Keep tracked time between page loads",
+        "simpleValueType": true,
+        "defaultValue": false
+      },
+      {
+        "type": "SELECT",
+        "name": "persistScope",
+        "displayName": "Share time across",
+        "selectItems": [
+          {
+            "value": "path",
+            "displayValue": "Each page"
+          },
+          {
+            "value": "site",
+            "displayValue": "The whole site"
+          }
+        ],
+        "simpleValueType": true,
+        "defaultValue": "path",
+        "enablingConditions": [
+          {
+            "paramName": "persist",
+            "paramValue": true,
+            "type": "EQUALS"
+          }
+        ]
+      },
+      {
+        "type": "TEXT",
+        "name": "persistId",
+        "displayName": "Key to share time under, e.g. an article ID",
+        "simpleValueType": true,
+        "canBeEmptyString": true,
+        "enablingConditions": [
+          {
+            "paramName": "persist",
+            "paramValue": true,
+            "type": "EQUALS"
+          }
+        ]
+      },
+      {
+        "type": "TEXT",
+        "name": "persistTimeout",
+        "displayName": "Discard saved time after (seconds)",
+        "simpleValueType": true,
+        "defaultValue": "1800",
+        "valueValidators": [
+          {
+            "type": "POSITIVE_NUMBER"
+          }
+        ],
+        "enablingConditions": [
+          {
+            "paramName": "persist",
+            "paramValue": true,
+            "type": "EQUALS"
+          }
+        ]
+      },
+      {
+        "type": "TEXT",
+        "name": "transportUrl",
+        "displayName": "Send the end of page summary to (URL)",
+        "help": "Sent with navigator.sendBeacon, so it survives the page unloading.",
+        "simpleValueType": true,
+        "canBeEmptyString": true
+      }
+    ]
+  },
+  {
+    "type": "GROUP",
+    "name": "reporting",
+    "displayName": "Reporting",
+    "groupStyle": "ZIPPY_CLOSED",
+    "subParams": [
+      {
+        "type": "TEXT",
+        "name": "eventName",
+        "displayName": "Event name",
+        "simpleValueType": true,
+        "defaultValue": "engagement_timer",
+        "valueValidators": [
+          {
+            "type": "NON_EMPTY"
+          }
+        ]
+      },
+      {
+        "type": "CHECKBOX",
+        "name": "sendHeartbeats",
+        "checkboxText": "Push heartbeats as well as marks",
+        "simpleValueType": true,
+        "defaultValue": false
+      },
+      {
+        "type": "TEXT",
+        "name": "dataLayerName",
+        "displayName": "dataLayer name",
+        "simpleValueType": true,
+        "defaultValue": "dataLayer",
+        "valueValidators": [
+          {
+            "type": "NON_EMPTY"
+          }
+        ]
+      },
+      {
+        "type": "CHECKBOX",
+        "name": "sync",
+        "checkboxText": "Push events as soon as they happen instead of on the next turn of the event loop",
+        "simpleValueType": true,
+        "defaultValue": false
+      }
+    ]
+  },
+  {
+    "type": "GROUP",
+    "name": "library",
+    "displayName": "Library",
+    "groupStyle": "ZIPPY_CLOSED",
+    "subParams": [
+      {
+        "type": "TEXT",
+        "name": "libraryUrl",
+        "displayName": "Library URL",
+        "help": "A copy of engagement-timer.min.js from a release, on your own server, with the version in the URL, e.g. https://www.example.com/js/engagement-timer-3.0.0.min.js. Add the same URL to the template's Injects Scripts permission.",
+        "simpleValueType": true,
+        "valueValidators": [
+          {
+            "type": "NON_EMPTY"
+          }
+        ]
+      },
+      {
+        "type": "SELECT",
+        "name": "validation",
+        "displayName": "Invalid options",
+        "selectItems": [
+          {
+            "value": "warn",
+            "displayValue": "Log to the console"
+          },
+          {
+            "value": "strict",
+            "displayValue": "Stop the tag"
+          },
+          {
+            "value": "off",
+            "displayValue": "Ignore"
+          }
+        ],
+        "simpleValueType": true,
+        "defaultValue": "warn",
+        "help": "Options the timer can't work with, like a missing context, always stop the tag."
+      }
+    ]
+  }
+]
+
+
+___SANDBOXED_JS_FOR_WEB_TEMPLATE___
+
+const callInWindow = require('callInWindow');
+const copyFromDataLayer = require('copyFromDataLayer');
+const copyFromWindow = require('copyFromWindow');
+const getType = require('getType');
+const injectScript = require('injectScript');
+const logToConsole = require('logToConsole');
+const makeNumber = require('makeNumber');
+const makeString = require('makeString');
+const queryPermission = require('queryPermission');
+
+const log = (message) => logToConsole('Engagement Timer: ' + message);
+
+const opts = {
+  idleOnVisibilityChange: data.idleOnVisibilityChange === true,
+  validation: data.validation === 'off' ? false : data.validation
+};
+
+// Empty tables and fields are left out, so the timer's defaults apply
+const setList = (key, rows, column, convert) => {
+  const values = (rows || []).map((row) => convert(row[column]));
+
+  if (values.length) {
+    opts[key] = values;
+  }
+};
+const setNumber = (key, value) => {
+  if (value !== undefined && value !== '') {
+    opts[key] = makeNumber(value);
+  }
+};
+
+setList('every', data.every, 'seconds', makeNumber);
+setList('each', data.each, 'seconds', makeNumber);
+setList('engagementEvents', data.engagementEvents, 'event', makeString);
+setList('depth', data.depth, 'percent', makeNumber);
+setNumber('heartbeat', data.heartbeat);
+setNumber('idleAfter', data.idleAfter);
+setNumber('min', data.min);
+setNumber('max', data.max);
+
+if (data.weights && data.weights.length) {
+  opts.weights = {};
+  data.weights.forEach((row) => {
+    opts.weights[row.event] = makeNumber(row.points);
+  });
+}
+
+if (data.context) {
+  opts.context = data.context;
+  setNumber('visibleThreshold', data.visibleThreshold);
+}
+
+if (data.countFromPageLoad && copyFromDataLayer('gtm.start')) {
+  opts.startTime = copyFromDataLayer('gtm.start');
+}
+
+if (data.media) {
+  opts.media = true;
+}
+
+if (data.router) {
+  opts.router = {hash: data.routerHash === true};
+}
+
+if (data.persist) {
+  opts.persist = {scope: data.persistScope};
+
+  if (data.persistId) {
+    opts.persist.id = data.persistId;
+  }
+
+  if (data.persistTimeout) {
+    opts.persist.timeout = makeNumber(data.persistTimeout);
+  }
+}
+
+if (data.transportUrl) {
+  opts.transport = {url: data.transportUrl};
+}
+
+if (data.sync) {
+  opts.sync = true;
+}
+
+// The same events as the CU - Engagement Timer - LunaMetrics Plugin tag
+const reporterOptions = {
+  dataLayerName: data.dataLayerName || 'dataLayer',
+  eventName: data.eventName || 'engagement_timer',
+  events: data.sendHeartbeats ? ['interval', 'heartbeat'] : ['interval'],
+  transport: 'dataLayer'
+};
+
+const onLoad = () => {
+  // Pages with an AMD loader get the library as a module instead of a global
+  if (getType(copyFromWindow('EngagementTimer.track')) !== 'function') {
+    log('the library loaded without setting window.EngagementTimer.');
+    data.gtmOnFailure();
+    return;
+  }
+
+  const fatal = (callInWindow('EngagementTimer.validate', opts) || []).filter((problem) => problem.fatal);
+
+  if (fatal.length) {
+    fatal.forEach((problem) => log(problem.message));
+    data.gtmOnFailure();
+    return;
+  }
+
+  callInWindow('EngagementTimer.track', opts, 'ga4', reporterOptions);
+  data.gtmOnSuccess();
+};
+
+if (!queryPermission('inject_script', data.libraryUrl)) {
+  log(data.libraryUrl + ' isn\'t in the template\'s Injects Scripts permission.');
+  data.gtmOnFailure();
+  return;
+}
+
+injectScript(data.libraryUrl, onLoad, data.gtmOnFailure, data.libraryUrl);
+
+
+___WEB_PERMISSIONS___
+
+[
+  {
+    "instance": {
+      "key": {
+        "publicId": "inject_script",
+        "versionId": "1"
+      },
+      "param": [
+        {
+          "key": "urls",
+          "value": {
+            "type": 2,
+            "listItem": []
+          }
+        }
+      ]
+    },
+    "clientAnnotations": {
+      "isEditedByUser": true
+    },
+    "isRequired": true
+  },
+  {
+    "instance": {
+      "key": {
+        "publicId": "access_globals",
+        "versionId": "1"
+      },
+      "param": [
+        {
+          "key": "keys",
+          "value": {
+            "type": 2,
+            "listItem": [
+              {
+                "type": 3,
+                "mapKey": [
+                  {
+                    "type": 1,
+                    "string": "key"
+                  },
+                  {
+                    "type": 1,
+                    "string": "read"
+                  },
+                  {
+                    "type": 1,
+                    "string": "write"
+                  },
+                  {
+                    "type": 1,
+                    "string": "execute"
+                  }
+                ],
+                "mapValue": [
+                  {
+                    "type": 1,
+                    "string": "EngagementTimer.track"
+                  },
+                  {
+                    "type": 8,
+                    "boolean": true
+                  },
+                  {
+                    "type": 8,
+                    "boolean": false
+                  },
+                  {
+                    "type": 8,
+                    "boolean": true
+                  }
+                ]
+              },
+              {
+                "type": 3,
+                "mapKey": [
+                  {
+                    "type": 1,
+                    "string": "key"
+                  },
+                  {
+                    "type": 1,
+                    "string": "read"
+                  },
+                  {
+                    "type": 1,
+                    "string": "write"
+                  },
+                  {
+                    "type": 1,
+                    "string": "execute"
+                  }
+                ],
+                "mapValue": [
+                  {
+                    "type": 1,
+                    "string": "EngagementTimer.validate"
+                  },
+                  {
+                    "type": 8,
+                    "boolean": false
+                  },
+                  {
+                    "type": 8,
+                    "boolean": false
+                  },
+                  {
+                    "type": 8,
+                    "boolean": true
+                  }
+                ]
+              }
+            ]
+          }
+        }
+      ]
+    },
+    "clientAnnotations": {
+      "isEditedByUser": true
+    },
+    "isRequired": true
+  },
+  {
+    "instance": {
+      "key": {
+        "publicId": "read_data_layer",
+        "versionId": "1"
+      },
+      "param": [
+        {
+          "key": "keyPatterns",
+          "value": {
+            "type": 2,
+            "listItem": [
+              {
+                "type": 1,
+                "string": "gtm.start"
+              }
+            ]
+          }
+        }
+      ]
+    },
+    "clientAnnotations": {
+      "isEditedByUser": true
+    },
+    "isRequired": true
+  },
+  {
+    "instance": {
+      "key": {
+        "publicId": "logging",
+        "versionId": "1"
+      },
+      "param": [
+        {
+          "key": "environments",
+          "value": {
+            "type": 1,
+            "string": "debug"
+          }
+        }
+      ]
+    },
+    "isRequired": true
+  }
+]
+
+
+___TESTS___
+
+scenarios:
+- name: Pushes the same events as the custom HTML tag by default
+  code: |-
+    runCode(mockData);
+
+    assertApi('injectScript').wasCalled();
+    assertThat(tracked.opts).isEqualTo({
+      engagementEvents: ['click', 'touchstart', 'scroll', 'keydown', 'mousemove'],
+      every: [30],
+      idleAfter: 60,
+      idleOnVisibilityChange: true,
+      max: 1800,
+      min: 0,
+      validation: 'warn'
+    });
+    assertThat(tracked.reporter).isEqualTo('ga4');
+    assertThat(tracked.reporterOptions).isEqualTo({
+      dataLayerName: 'dataLayer',
+      eventName: 'engagement_timer',
+      events: ['interval'],
+      transport: 'dataLayer'
+    });
+    assertApi('gtmOnSuccess').wasCalled();
+    assertApi('gtmOnFailure').wasNotCalled();
+- name: Passes every option to the timer
+  code: |-
+    mockData.each = [{seconds: '10'}, {seconds: '90'}];
+    mockData.heartbeat = '15';
+    mockData.countFromPageLoad = true;
+    mockData.media = true;
+    mockData.weights = [{event: 'click', points: '3'}];
+    mockData.context = '#article';
+    mockData.visibleThreshold = '0.5';
+    mockData.depth = [{percent: '50'}, {percent: '100'}];
+    mockData.router = true;
+    mockData.routerHash = true;
+    mockData.persist = true;
+    mockData.persistScope = 'site';
+    mockData.persistId = 'post-1234';
+    mockData.persistTimeout = '600';
+    mockData.transportUrl = '/collect/engagement';
+    mockData.sendHeartbeats = true;
+    mockData.sync = true;
+    mockData.validation = 'off';
+
+    runCode(mockData);
+
+    assertThat(tracked.opts.each).isEqualTo([10, 90]);
+    assertThat(tracked.opts.heartbeat).isEqualTo(15);
+    assertThat(tracked.opts.startTime).isEqualTo(1234567890);
+    assertThat(tracked.opts.media).isEqualTo(true);
+    assertThat(tracked.opts.weights).isEqualTo({click: 3});
+    assertThat(tracked.opts.context).isEqualTo('#article');
+    assertThat(tracked.opts.visibleThreshold).isEqualTo(0.5);
+    assertThat(tracked.opts.depth).isEqualTo([50, 100]);
+    assertThat(tracked.opts.router).isEqualTo({hash: true});
+    assertThat(tracked.opts.persist).isEqualTo({id: 'post-1234', scope: 'site', timeout: 600});
+    assertThat(tracked.opts.transport).isEqualTo({url: '/collect/engagement'});
+    assertThat(tracked.opts.sync).isEqualTo(true);
+    assertThat(tracked.opts.validation).isEqualTo(false);
+    assertThat(tracked.reporterOptions.events).isEqualTo(['interval', 'heartbeat']);
+    assertApi('gtmOnSuccess').wasCalled();
+- name: Fails without a timer when the options can't work
+  code: |-
+    problems = [{fatal: true, message: 'Unable to find context #missing', path: 'context'}];
+    mockData.context = '#missing';
+
+    runCode(mockData);
+
+    assertThat(tracked).isEqualTo(null);
+    assertApi('logToConsole').wasCalledWith('Engagement Timer: Unable to find context #missing');
+    assertApi('gtmOnFailure').wasCalled();
+    assertApi('gtmOnSuccess').wasNotCalled();
+- name: Leaves warnings to the library
+  code: |-
+    problems = [{fatal: false, message: 'opts.every[0] should be a positive number of seconds (got 0).', path: 'every[0]'}];
+
+    runCode(mockData);
+
+    assertApi('logToConsole').wasNotCalled();
+    assertApi('gtmOnSuccess').wasCalled();
+- name: Fails when the library doesn't load
+  code: |-
+    loads = false;
+
+    runCode(mockData);
+
+    assertThat(tracked).isEqualTo(null);
+    assertApi('gtmOnFailure').wasCalled();
+- name: Fails when the library doesn't set the global
+  code: |-
+    exposed = false;
+
+    runCode(mockData);
+
+    assertThat(tracked).isEqualTo(null);
+    assertApi('gtmOnFailure').wasCalled();
+- name: Fails when the library URL isn't allowed
+  code: |-
+    mockData.libraryUrl = 'https://unpkg.com/engagement-timer-google-analytics@3/engagement-timer.min.js';
+
+    runCode(mockData);
+
+    assertApi('injectScript').wasNotCalled();
+    assertApi('logToConsole').wasCalledWith('Engagement Timer: https://unpkg.com/engagement-timer-google-analytics@3/engagement-timer.min.js isn\'t in the template\'s Injects Scripts permission.');
+    assertApi('gtmOnFailure').wasCalled();
+setup: |-
+  const mockData = {
+    every: [{seconds: '30'}],
+    each: [],
+    heartbeat: '',
+    min: '0',
+    max: '1800',
+    countFromPageLoad: false,
+    idleAfter: '60',
+    engagementEvents: [
+      {event: 'click'},
+      {event: 'touchstart'},
+      {event: 'scroll'},
+      {event: 'keydown'},
+      {event: 'mousemove'}
+    ],
+    idleOnVisibilityChange: true,
+    media: false,
+    weights: [],
+    context: '',
+    visibleThreshold: '',
+    depth: [],
+    router: false,
+    routerHash: false,
+    persist: false,
+    persistScope: 'path',
+    persistId: '',
+    persistTimeout: '1800',
+    transportUrl: '',
+    eventName: 'engagement_timer',
+    sendHeartbeats: false,
+    dataLayerName: 'dataLayer',
+    sync: false,
+    libraryUrl: 'https://www.example.com/js/engagement-timer-3.0.0.min.js',
+    validation: 'warn'
+  };
+
+  // The Injects Scripts permission ships empty; tests allow the library URL above
+  mock('queryPermission', (permission, url) => permission === 'inject_script' && url === 'https://www.example.com/js/engagement-timer-3.0.0.min.js');
+
+  let loads = true;
+  let exposed = true;
+  let problems = [];
+  let tracked = null;
+
+  mock('injectScript', (url, onSuccess, onFailure) => {
+    if (loads) {
+      onSuccess();
+    } else {
+      onFailure();
+    }
+  });
+
+  mock('copyFromWindow', (key) => {
+    if (key === 'EngagementTimer.track' && exposed) {
+      return () => {};
+    }
+  });
+
+  mock('copyFromDataLayer', (key) => {
+    if (key === 'gtm.start') {
+      return 1234567890;
+    }
+  });
+
+  mock('callInWindow', (path, opts, reporter, reporterOptions) => {
+    if (path === 'EngagementTimer.validate') {
+      return problems;
+    }
+
+    tracked = {
+      opts: opts,
+      reporter: reporter,
+      reporterOptions: reporterOptions
+    };
+  });
+
+
+___NOTES___
+
+Fire on a Page View trigger, once per page. The library is loaded from the
+Library URL, a copy of a release you host yourself; add the same URL to the
+Injects Scripts permission, which ships empty.
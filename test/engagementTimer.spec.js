@@ -5,6 +5,67 @@ describe('engagement-timer', function() {
 	var clock;
 	var cb;
 
+	function expectListenersRemoved(target) {
+
+		target.addEventListener.getCalls().forEach(function(call) {
+			expect(target.removeEventListener.calledWith(call.args[0], call.args[1])).toBe(true);
+		});
+
+	}
+
+	function createStorage() {
+
+		var items = {};
+
+		return {
+			getItem: function(key) {
+				return items.hasOwnProperty(key) ? items[key] : null;
+			},
+			setItem: function(key, value) {
+				items[key] = String(value);
+			}
+		};
+
+	}
+
+	// Clock for opts.clock; jump moves time on without running timeouts, like a throttled tab
+	function createClock() {
+
+		var now = 0;
+		var timeouts = [];
+
+		return {
+			advance: function(ms) {
+				var end = now + ms;
+				var due;
+				while ((due = timeouts.filter(function(t) { return t.fn && t.at <= end; })).length) {
+					due.sort(function(a, b) { return a.at - b.at; });
+					now = Math.max(now, due[0].at);
+					var fn = due[0].fn;
+					due[0].fn = null;
+					fn();
+				}
+				now = end;
+			},
+			clearTimeout: function(id) {
+				if (timeouts[id]) {
+					timeouts[id].fn = null;
+				}
+			},
+			jump: function(ms) {
+				now += ms;
+			},
+			now: function() {
+				return now;
+			},
+			setTimeout: function(fn, wait) {
+				timeouts.push({at: now + wait, fn: fn});
+				return timeouts.length - 1;
+			}
+		};
+
+	}
+
   beforeEach(function(done) {
 
     var html = '<div class="spacer" style="height: 1000px; width: 100%;"></div>' +
@@ -273,7 +334,7 @@ describe('engagement-timer', function() {
 		clock.tick(1001);
 
 		expect(cb.callCount).toEqual(2);
-		expect(timer._trackedTime).toEqual(2003);
+		expect(timer._trackedTime).toEqual(2002);
 
 		done();
 
@@ -367,4 +428,1589 @@ describe('engagement-timer', function() {
 
 	});
 
+	it ('should restore tracked time and fired marks from storage', function(done) {
+
+		var storage = createStorage();
+		var timer = window.EngagementTimer({
+			every: [1],
+			startTime: new Date(),
+			persist: {
+				storage: storage,
+				id: 'article-1'
+			}
+		});
+		timer.start();
+		clock.tick(2001);
+		timer.pause();
+		timer.destroy();
+
+		expect(JSON.parse(storage.getItem('engagementTimer:article-1')).trackedTime).toEqual(2001);
+
+		var next = window.EngagementTimer({
+			every: [1],
+			persist: {
+				storage: storage,
+				id: 'article-1'
+			}
+		});
+		next.on('interval', cb);
+		next.start();
+
+		clock.tick(1001);
+
+		expect(next._trackedTime).toEqual(3001);
+		expect(cb.callCount).toEqual(1);
+		expect(cb.getCall(0).args[0].data.time).toEqual(3);
+
+		next.destroy();
+
+		done();
+
+	});
+
+	it ('should discard persisted state after the session timeout', function(done) {
+
+		var storage = createStorage();
+		var timer = window.EngagementTimer({
+			every: [1],
+			startTime: new Date(),
+			persist: {
+				storage: storage,
+				timeout: 60
+			}
+		});
+		timer.start();
+		clock.tick(2001);
+		timer.pause();
+		timer.destroy();
+
+		clock.tick(60 * 1000 + 1);
+
+		var next = window.EngagementTimer({
+			every: [1],
+			persist: {
+				storage: storage,
+				timeout: 60
+			}
+		});
+
+		expect(next._trackedTime).toEqual(0);
+
+		next.destroy();
+
+		done();
+
+	});
+
+	it ('should summarize and reset the view on pushState', function(done) {
+
+		var path = window.location.pathname + window.location.search;
+		var timer = window.EngagementTimer({
+			every: [1],
+			startTime: new Date(),
+			router: true
+		});
+		timer.on('summary', cb);
+		timer.start();
+
+		clock.tick(2001);
+
+		window.history.pushState(null, '', '?view=next');
+		clock.tick(1);
+
+		expect(cb.callCount).toEqual(1);
+		expect(cb.getCall(0).args[0].data.path).toEqual(path);
+		expect(cb.getCall(0).args[0].data.time).toEqual(2);
+		expect(cb.getCall(0).args[0].data.marks).toEqual([1, 2]);
+		expect(timer._trackedTime).toEqual(0);
+
+		window.history.replaceState(null, '', path);
+		timer.destroy();
+
+		done();
+
+	});
+
+	it ('should rebind the context selector for the new view', function(done) {
+
+		var path = window.location.pathname + window.location.search;
+		var timer = window.EngagementTimer({
+			every: [1],
+			idleAfter: 1,
+			engagementEvents: ['click'],
+			context: '.nested',
+			router: true
+		});
+
+		window.history.pushState(null, '', '?view=next');
+		document.body.innerHTML = '<div class="nested"></div>';
+		clock.tick(1);
+
+		document.querySelector('.nested').dispatchEvent(new Event('click'));
+		clock.tick(1);
+
+		expect(timer._running).toEqual(true);
+
+		window.history.replaceState(null, '', path);
+		timer.destroy();
+
+		done();
+
+	});
+
+	it ('should report engaged, idle and wall time once on pagehide', function(done) {
+
+		var timer = window.EngagementTimer({
+			every: [1],
+			idleAfter: 3,
+			engagementEvents: ['click'],
+			startTime: new Date()
+		});
+		timer.on('end', cb);
+		timer.start();
+
+		clock.tick(5001);
+
+		window.dispatchEvent(new Event('pagehide'));
+		window.dispatchEvent(new Event('pagehide'));
+		clock.tick(1);
+
+		expect(cb.callCount).toEqual(1);
+		expect(cb.getCall(0).args[0].data.time).toEqual(3);
+		expect(cb.getCall(0).args[0].data.idleTime).toEqual(2);
+		expect(cb.getCall(0).args[0].data.idleEpisodes).toEqual(1);
+		expect(cb.getCall(0).args[0].data.hiddenTime).toEqual(0);
+		expect(cb.getCall(0).args[0].data.wallTime).toEqual(5);
+
+		timer.destroy();
+
+		done();
+
+	});
+
+	it ('should send the end event with navigator.sendBeacon', function(done) {
+
+		var beacon = sinon.stub().returns(true);
+		var timer = window.EngagementTimer({
+			every: [1],
+			startTime: new Date(),
+			transport: {
+				url: '/collect'
+			}
+		});
+		window.navigator.sendBeacon = beacon;
+		timer.start();
+
+		clock.tick(2001);
+
+		window.dispatchEvent(new Event('pagehide'));
+		delete window.navigator.sendBeacon;
+
+		expect(beacon.callCount).toEqual(1);
+		expect(beacon.getCall(0).args[0]).toEqual('/collect');
+		expect(JSON.parse(beacon.getCall(0).args[1]).time).toEqual(2);
+
+		timer.destroy();
+
+		done();
+
+	});
+
+	it ('should only track while the context is in view', function(done) {
+
+		var nested = document.querySelector('.nested');
+		var IntersectionObserver = window.IntersectionObserver;
+		var hiddenCb = sinon.spy();
+		var observerCallback;
+
+		window.IntersectionObserver = function(callback) {
+			observerCallback = callback;
+			this.observe = sinon.spy();
+			this.unobserve = sinon.spy();
+		};
+
+		var timer = window.EngagementTimer({
+			every: [1],
+			context: '.nested',
+			visibleThreshold: 0.75
+		});
+		window.IntersectionObserver = IntersectionObserver;
+
+		timer.on('visible', cb);
+		timer.on('hidden', hiddenCb);
+
+		observerCallback([{target: nested, intersectionRatio: 0.2}]);
+		timer.start();
+
+		expect(timer._running).toEqual(false);
+
+		observerCallback([{target: nested, intersectionRatio: 0.8}]);
+
+		expect(timer._running).toEqual(true);
+
+		clock.tick(1001);
+		observerCallback([{target: nested, intersectionRatio: 0.5}]);
+		clock.tick(1);
+
+		expect(timer._running).toEqual(false);
+		expect(timer._trackedTime).toEqual(1001);
+		expect(cb.callCount).toEqual(1);
+		expect(hiddenCb.callCount).toEqual(2);
+
+		timer.destroy();
+
+		done();
+
+	});
+
+	it ('should measure the context on scroll without IntersectionObserver', function(done) {
+
+		var nested = document.querySelector('.nested');
+		var rect = {top: 5000, bottom: 5200, left: 0, right: 100, width: 100, height: 200};
+
+		if (window.IntersectionObserver) {
+			sandbox.stub(window, 'IntersectionObserver').value(undefined);
+		}
+		sandbox.stub(nested, 'getBoundingClientRect').callsFake(function() {
+			return rect;
+		});
+
+		var timer = window.EngagementTimer({
+			every: [1],
+			context: nested,
+			visibleThreshold: 0.5
+		});
+		timer.on('visible', cb);
+		timer.start();
+
+		expect(timer._running).toEqual(false);
+
+		rect = {top: 0, bottom: 200, left: 0, right: 100, width: 100, height: 200};
+		window.dispatchEvent(new Event('scroll'));
+		clock.tick(101);
+
+		expect(timer._running).toEqual(true);
+		expect(cb.callCount).toEqual(1);
+
+		timer.destroy();
+
+		done();
+
+	});
+
+	it ('should track sections of a group independently', function(done) {
+
+		var group = window.EngagementTimer.group({
+			every: [1],
+			idleAfter: 1,
+			engagementEvents: ['click'],
+			sections: {
+				nested: '.nested',
+				each: '#each'
+			}
+		});
+		group.on('interval', cb);
+
+		document.querySelector('.nested-every').dispatchEvent(new Event('click', {bubbles: true}));
+		clock.tick(1001);
+
+		expect(cb.callCount).toEqual(1);
+		expect(cb.getCall(0).args[0].data.section).toEqual('nested');
+		expect(group.report()).toEqual({
+			nested: {idle: true, marks: [1], running: false, time: 1},
+			each: {idle: false, marks: [], running: false, time: 0}
+		});
+
+		group.destroy();
+
+		done();
+
+	});
+
+	it ('should share one set of listeners between sections', function(done) {
+
+		var nested = document.querySelector('.nested');
+		var each = document.querySelector('#each');
+
+		sandbox.spy(document, 'addEventListener');
+		sandbox.spy(nested, 'addEventListener');
+		sandbox.spy(each, 'addEventListener');
+
+		var group = window.EngagementTimer.group({
+			every: [1],
+			idleAfter: 1,
+			engagementEvents: ['click', 'keydown'],
+			idleOnVisibilityChange: true,
+			sections: {
+				nested: nested,
+				each: each
+			}
+		});
+
+		expect(document.addEventListener.withArgs('click').callCount).toEqual(1);
+		expect(document.addEventListener.withArgs('keydown').callCount).toEqual(1);
+		expect(document.addEventListener.withArgs('visibilitychange').callCount).toEqual(2);
+		expect(nested.addEventListener.callCount).toEqual(0);
+		expect(each.addEventListener.callCount).toEqual(0);
+		expect(group.section('nested')._context).toBe(nested);
+
+		group.destroy();
+
+		done();
+
+	});
+
+	it ('should remove handlers with off and fire once handlers once', function(done) {
+
+		var onceCb = sinon.spy();
+		var timer = window.EngagementTimer({
+			every: [1],
+			startTime: new Date()
+		});
+		timer.on('interval', cb);
+		timer.once('interval', onceCb);
+		timer.start();
+
+		clock.tick(1001);
+		timer.off('interval', cb);
+		clock.tick(1001);
+
+		expect(cb.callCount).toEqual(1);
+		expect(onceCb.callCount).toEqual(1);
+		expect(timer._events.interval).toEqual([]);
+
+		timer.destroy();
+
+		done();
+
+	});
+
+	it ('should call wildcard handlers synchronously with the event name', function(done) {
+
+		var timer = window.EngagementTimer({
+			every: [1],
+			startTime: new Date(),
+			sync: true
+		});
+		timer.on('*', cb);
+
+		timer.start();
+
+		expect(cb.callCount).toEqual(1);
+		expect(cb.getCall(0).args[1]).toEqual('start');
+
+		timer.destroy();
+
+		done();
+
+	});
+
+	it ('should report handler errors without breaking other handlers', function(done) {
+
+		var error = new Error('broken handler');
+		var errorCb = sinon.spy();
+		var timer = window.EngagementTimer({
+			every: [1],
+			startTime: new Date(),
+			sync: true
+		});
+		timer.on('start', function() {
+			throw error;
+		});
+		timer.on('start', cb);
+		timer.on('error', errorCb);
+
+		timer.start();
+
+		expect(cb.callCount).toEqual(1);
+		expect(errorCb.callCount).toEqual(1);
+		expect(errorCb.getCall(0).args[0].data.error).toBe(error);
+		expect(errorCb.getCall(0).args[0].data.event).toEqual('start');
+
+		timer.destroy();
+
+		done();
+
+	});
+
+	it ('should not leave timers or listeners behind after destroy', function(done) {
+
+		var nested = document.querySelector('.nested');
+		var storage = createStorage();
+		var endCb = sinon.spy();
+
+		[document, nested].forEach(function(target) {
+			sandbox.spy(target, 'addEventListener');
+			sandbox.spy(target, 'removeEventListener');
+		});
+		sandbox.spy(storage, 'setItem');
+
+		var timer = window.EngagementTimer({
+			every: [1],
+			idleAfter: 1,
+			engagementEvents: ['click', 'keydown'],
+			idleOnVisibilityChange: true,
+			context: nested,
+			persist: {
+				storage: storage
+			},
+			startTime: +new Date() - 5000
+		});
+		timer.on('destroy', cb);
+		timer.on('end', endCb);
+
+		nested.dispatchEvent(new Event('click'));
+		timer.start();
+		timer.destroy();
+		clock.tick(1);
+
+		expect(cb.callCount).toEqual(1);
+		expect(Object.keys(clock.timers || {}).length).toEqual(0);
+		expectListenersRemoved(document);
+		expectListenersRemoved(nested);
+
+		storage.setItem.resetHistory();
+		nested.dispatchEvent(new Event('click'));
+		window.dispatchEvent(new Event('pagehide'));
+		clock.tick(1001);
+		timer.start();
+
+		expect(timer._running).toEqual(false);
+		expect(storage.setItem.callCount).toEqual(0);
+		expect(endCb.callCount).toEqual(0);
+		expect(Object.keys(clock.timers || {}).length).toEqual(0);
+
+		done();
+
+	});
+
+	it ('should remove shared listeners when a group is destroyed', function(done) {
+
+		sandbox.spy(document, 'addEventListener');
+		sandbox.spy(document, 'removeEventListener');
+
+		var group = window.EngagementTimer.group({
+			every: [1],
+			idleAfter: 1,
+			engagementEvents: ['click'],
+			idleOnVisibilityChange: true,
+			sections: {
+				nested: '.nested',
+				each: '#each'
+			}
+		});
+		group.start();
+		group.destroy();
+
+		expectListenersRemoved(document);
+		expect(group.section('nested')._destroyed).toEqual(true);
+		expect(group.section('each')._destroyed).toEqual(true);
+
+		done();
+
+	});
+
+	it ('should report its state', function(done) {
+
+		var timer = window.EngagementTimer({
+			every: [2],
+			each: [3],
+			idleAfter: 1,
+			engagementEvents: ['click'],
+			startTime: new Date(),
+			max: 60
+		});
+		timer.start();
+
+		clock.tick(3003);
+
+		var state = timer.getState();
+
+		expect(state.engagedTime).toEqual(1001);
+		expect(state.idleTime).toEqual(2002);
+		expect(state.hiddenTime).toEqual(0);
+		expect(state.running).toEqual(false);
+		expect(state.idle).toEqual(true);
+		expect(state.destroyed).toEqual(false);
+		expect(state.marks).toEqual([]);
+		expect(state.nextMark).toEqual(2);
+		expect(state.options.every).toEqual([2]);
+		expect(state.options.idleAfter).toEqual(1);
+		expect(state.options.max).toEqual(60);
+		expect(state.options.context).toBe(document);
+
+		timer.destroy();
+
+		expect(timer.getState().destroyed).toEqual(true);
+
+		done();
+
+	});
+
+	it ('should round-trip through toJSON and fromJSON', function(done) {
+
+		var timer = window.EngagementTimer({
+			every: [1],
+			each: [5],
+			context: '.nested',
+			startTime: new Date()
+		});
+		timer.start();
+		clock.tick(2001);
+		timer.pause();
+		timer.destroy();
+
+		var copy = window.EngagementTimer.fromJSON(JSON.stringify(timer));
+		copy.on('interval', cb);
+
+		expect(copy._context).toBe(document.querySelector('.nested'));
+		expect(copy.getState().engagedTime).toEqual(2001);
+		expect(copy.getState().marks).toEqual([1, 2]);
+
+		copy.start();
+		clock.tick(1001);
+
+		expect(cb.callCount).toEqual(1);
+		expect(cb.getCall(0).args[0].data.time).toEqual(3);
+		expect(copy.getState().nextMark).toEqual(4);
+
+		copy.destroy();
+
+		done();
+
+	});
+
+	it ('should emit resume with the time away and why', function(done) {
+
+		var timer = window.EngagementTimer({
+			every: [1],
+			idleAfter: 1,
+			engagementEvents: ['click'],
+			startTime: new Date()
+		});
+		timer.on('resume', cb);
+		timer.start();
+
+		clock.tick(4001);
+		document.dispatchEvent(new Event('click'));
+		clock.tick(1);
+
+		expect(cb.callCount).toEqual(1);
+		expect(cb.getCall(0).args[0].data.reason).toEqual('idle');
+		expect(cb.getCall(0).args[0].data.away).toEqual(3);
+		expect(timer.getState().idleEpisodes).toEqual(1);
+		expect(timer.getState().idleTime).toEqual(3000);
+
+		timer.destroy();
+
+		done();
+
+	});
+
+	it ('should count time idle in a hidden tab as hidden time', function(done) {
+
+		var timer = window.EngagementTimer({
+			every: [1],
+			idleAfter: 1,
+			engagementEvents: ['click'],
+			idleOnVisibilityChange: true,
+			startTime: new Date()
+		});
+		var docHidden = sandbox.stub(document, 'hidden');
+		timer.start();
+
+		clock.tick(2001);
+		docHidden.value(true);
+		document.dispatchEvent(new Event('visibilitychange'));
+		clock.tick(5000);
+		docHidden.value(false);
+		document.dispatchEvent(new Event('visibilitychange'));
+		clock.tick(1000);
+
+		var state = timer.getState();
+
+		expect(state.running).toEqual(false);
+		expect(state.idleTime).toEqual(2000);
+		expect(state.hiddenTime).toEqual(5000);
+
+		timer.destroy();
+
+		done();
+
+	});
+
+	it ('should keep running while media plays in the context', function(done) {
+
+		document.querySelector('.nested').innerHTML = '<video id="clip"></video>';
+
+		var video = document.getElementById('clip');
+		var timer = window.EngagementTimer({
+			every: [3],
+			idleAfter: 1,
+			engagementEvents: ['click'],
+			context: '.nested',
+			media: true
+		});
+		timer.on('interval', cb);
+
+		video.dispatchEvent(new Event('play'));
+		clock.tick(3001);
+
+		expect(timer._running).toEqual(true);
+		expect(cb.callCount).toEqual(1);
+		expect(cb.getCall(0).args[0].data.media).toEqual([{id: 'clip', src: null, time: 3}]);
+
+		video.dispatchEvent(new Event('pause'));
+		clock.tick(1002);
+
+		expect(timer._running).toEqual(false);
+		expect(timer._getMediaReport()[0].time).toEqual(3);
+
+		timer.destroy();
+
+		done();
+
+	});
+
+	it ('should emit depth milestones and report depth on intervals', function(done) {
+
+		var nested = document.querySelector('.nested');
+		var depthCb = sandbox.spy();
+
+		sandbox.stub(nested, 'scrollHeight').value(1000);
+		sandbox.stub(nested, 'clientHeight').value(200);
+		var scrollTop = sandbox.stub(nested, 'scrollTop').value(0);
+
+		var timer = window.EngagementTimer({
+			every: [2],
+			context: nested,
+			depth: [25, 50, 100]
+		});
+		timer.on('depth', depthCb);
+		timer.on('interval', cb);
+		timer.start();
+
+		clock.tick(1);
+
+		expect(depthCb.callCount).toEqual(0);
+
+		scrollTop.value(400);
+		nested.dispatchEvent(new Event('scroll'));
+		clock.tick(101);
+
+		expect(depthCb.callCount).toEqual(2);
+		expect(depthCb.getCall(0).args[0].data.depth).toEqual(25);
+		expect(depthCb.getCall(1).args[0].data.depth).toEqual(50);
+
+		scrollTop.value(100);
+		nested.dispatchEvent(new Event('scroll'));
+		clock.tick(2001);
+
+		expect(depthCb.callCount).toEqual(2);
+		expect(cb.getCall(0).args[0].data.depth).toEqual(30);
+		expect(cb.getCall(0).args[0].data.maxDepth).toEqual(60);
+
+		timer.destroy();
+
+		done();
+
+	});
+
+	it ('should expand schedule rules and ask mark functions for the next mark', function(done) {
+
+		var timer = window.EngagementTimer({
+			each: [
+				{from: 2, factor: 2, to: 8},
+				function(last) {
+					return last ? last * 3 : 3;
+				}
+			],
+			every: [{n: 1, until: 1}]
+		});
+		timer.on('interval', cb);
+		timer.start();
+
+		clock.tick(10001);
+
+		var times = cb.getCalls().map(function(call) {
+			return call.args[0].data.time;
+		});
+
+		expect(times).toEqual([1, 2, 3, 4, 8, 9]);
+		expect(timer.getState().nextMark).toEqual(27);
+
+		expect(function() {
+			window.EngagementTimer({each: [{from: 10, step: 10}]});
+		}).toThrow();
+
+		timer.destroy();
+
+		done();
+
+	});
+
+	it ('should not count system clock changes as engaged time', function(done) {
+
+		var timer = window.EngagementTimer({
+			every: [1]
+		});
+		timer.start();
+
+		clock.tick(1000);
+		clock.setSystemTime(Date.now() + 10 * 60 * 60 * 1000);
+		clock.tick(1000);
+
+		expect(timer.getState().engagedTime).toEqual(2000);
+
+		timer.pause();
+		timer.on('resume', cb);
+		timer.start();
+		clock.tick(1);
+
+		expect(cb.getCall(0).args[0].data.timestamp).toEqual(Date.now() - 1);
+
+		timer.destroy();
+
+		done();
+
+	});
+
+	it ('should measure and schedule with an injected clock', function(done) {
+
+		var manualClock = createClock();
+		var timer = window.EngagementTimer({
+			every: [2],
+			clock: manualClock,
+			sync: true
+		});
+		timer.on('interval', cb);
+		timer.start();
+
+		manualClock.advance(4001);
+
+		expect(cb.callCount).toEqual(2);
+		expect(timer.getState().engagedTime).toEqual(4001);
+		expect(timer.toJSON().options.clock).toBeUndefined();
+
+		timer.destroy();
+
+		done();
+
+	});
+
+	it ('should flag marks missed by a throttled tick as late and report drift', function(done) {
+
+		var manualClock = createClock();
+		var timer = window.EngagementTimer({
+			every: [1],
+			clock: manualClock,
+			sync: true
+		});
+		timer.on('interval', cb);
+		timer.start();
+
+		manualClock.jump(3500);
+		manualClock.advance(0);
+
+		var marks = cb.getCalls().map(function(call) {
+			return call.args[0].data;
+		});
+
+		expect(marks.length).toEqual(3);
+		expect(marks[0].late).toBe(true);
+		expect(marks[0].scheduled).toEqual(Date.now() - 2500);
+		expect(marks[1].late).toBe(true);
+		expect(marks[2].late).toBeUndefined();
+
+		manualClock.advance(500);
+
+		expect(cb.callCount).toEqual(4);
+		expect(cb.getCall(3).args[0].data.late).toBeUndefined();
+		expect(timer.getState().drift).toEqual({average: 1250, max: 2500});
+
+		timer.destroy();
+
+		done();
+
+	});
+
+	it ('should emit heartbeats that add up to the engaged time', function(done) {
+
+		var timer = window.EngagementTimer({
+			heartbeat: 5,
+			sync: true
+		});
+		timer.on('heartbeat', cb);
+		timer.start();
+
+		clock.tick(6500);
+		timer.pause();
+		clock.tick(3000);
+		timer.start();
+		clock.tick(2200);
+		timer.destroy();
+
+		var beats = cb.getCalls().map(function(call) {
+			return call.args[0].data;
+		});
+		var total = beats.reduce(function(sum, beat) {
+			return sum + beat.delta;
+		}, 0);
+
+		expect(beats.map(function(beat) {
+			return beat.reason;
+		})).toEqual(['interval', 'pause', 'destroy']);
+		expect(beats.map(function(beat) {
+			return beat.delta;
+		})).toEqual([5000, 1500, 2200]);
+		expect(total).toEqual(6500 + 2200);
+		expect(timer.getState().engagedTime).toEqual(total);
+		expect(beats[2].engagedTime).toEqual(total);
+
+		done();
+
+	});
+
+	it ('should send GA4 events with gtag or the dataLayer', function(done) {
+
+		window.gtag = sandbox.spy();
+		window.dataLayer = [];
+
+		var timer = window.EngagementTimer({
+			every: [2],
+			context: '.nested',
+			sync: true
+		});
+		var stop = window.EngagementTimer.reporters.ga4(timer);
+		timer.start();
+
+		clock.tick(2001);
+
+		expect(window.gtag.callCount).toEqual(1);
+		expect(window.gtag.getCall(0).args).toEqual(['event', 'engagement_timer', {
+			engagement_context: '.nested',
+			engagement_idle_count: 0,
+			engagement_mark: 2,
+			engagement_mark_type: 'every',
+			engagement_time_msec: 2000
+		}]);
+
+		stop();
+		window.EngagementTimer.reporters.ga4(timer, {
+			eventName: 'engaged_time',
+			params: {engagementTime: 'engagement_msec'},
+			transport: 'dataLayer'
+		});
+
+		clock.tick(2000);
+
+		expect(window.gtag.callCount).toEqual(1);
+		expect(window.dataLayer[0].event).toEqual('engaged_time');
+		expect(window.dataLayer[0].engagement_msec).toEqual(4000);
+		expect(window.dataLayer[0].engagement_mark).toEqual(4);
+
+		timer.destroy();
+		delete window.gtag;
+		delete window.dataLayer;
+
+		done();
+
+	});
+
+	it ('should push chosen fields and events to a dataLayer', function(done) {
+
+		var timer = window.EngagementTimer({
+			every: [2],
+			sync: true
+		});
+		window.EngagementTimer.reporters.dataLayer(timer, {
+			dataLayerName: 'customLayer',
+			eventName: 'timer',
+			events: ['interval', 'pause'],
+			fields: ['engagedTime', 'markType', 'path']
+		});
+		timer.start();
+
+		clock.tick(3000);
+		timer.pause();
+
+		expect(window.customLayer).toEqual([
+			{
+				attributes: {action: 'interval', counter: 2, engagedTime: 2, markType: 'every', path: window.location.pathname},
+				event: 'timer'
+			},
+			{
+				attributes: {action: 'pause', counter: 3, engagedTime: 3, markType: null, path: window.location.pathname},
+				event: 'timer'
+			}
+		]);
+
+		timer.destroy();
+		delete window.customLayer;
+
+		done();
+
+	});
+
+	it ('should call plugin hooks and let plugins change or cancel events', function(done) {
+
+		var calls = [];
+		var plugin = {
+			name: 'labels',
+			defaults: {label: 'article'},
+			validate: function(opts) {
+				return typeof opts.label === 'string' ? null : 'opts.label must be a string';
+			},
+			beforeEmit: function(timer, name, evt) {
+				if (name === 'pause') return false;
+				if (name === 'interval') {
+					evt.data.label = timer._opts.label;
+				}
+			}
+		};
+		['init', 'beforeTick', 'afterTick', 'engage', 'pause', 'resume', 'destroy'].forEach(function(hook) {
+			plugin[hook] = function() {
+				if (calls[calls.length - 1] !== hook) {
+					calls.push(hook);
+				}
+			};
+		});
+
+		var removePlugin = window.EngagementTimer.use(plugin);
+		var timer = window.EngagementTimer({
+			every: [1],
+			sync: true
+		});
+		timer.on('interval', cb);
+		timer.on('pause', cb);
+
+		timer.engage();
+		clock.tick(1);
+		clock.tick(1000);
+		timer.pause();
+		timer.start();
+		timer.destroy();
+
+		expect(calls).toEqual(['init', 'engage', 'beforeTick', 'afterTick', 'pause', 'resume', 'destroy']);
+		expect(cb.callCount).toEqual(1);
+		expect(cb.getCall(0).args[0].data.label).toEqual('article');
+
+		expect(function() {
+			window.EngagementTimer({every: [1], label: 5});
+		}).toThrowError('labels: opts.label must be a string');
+
+		removePlugin();
+
+		var unplugged = window.EngagementTimer({every: [1], label: 5, validation: false});
+
+		expect(unplugged._plugins).toEqual([]);
+
+		unplugged.destroy();
+
+		done();
+
+	});
+
+	it ('should create timers from data attributes, including elements added later', function(done) {
+
+		var warn = sandbox.stub(window.console, 'warn');
+		var reporter = sandbox.spy();
+
+		document.querySelector('.nested').innerHTML = '<div id="auto" data-engagement-timer data-every="2, 4" data-idle-after="5" data-events="click keydown"></div>' +
+			'<div data-engagement-timer data-every="soon"></div>' +
+			'<div data-engagement-timer data-events="click"></div>';
+
+		var auto = window.EngagementTimer.autoInit({reporter: reporter});
+		var timer = auto.timers()[0];
+
+		expect(auto.timers().length).toEqual(1);
+		expect(reporter.calledWith(timer)).toBe(true);
+		expect(timer._context).toBe(document.getElementById('auto'));
+		expect(timer.getState().options.every).toEqual([2, 4]);
+		expect(timer.getState().options.engagementEvents).toEqual(['click', 'keydown']);
+		expect(timer.getState().running).toBe(true);
+		expect(warn.callCount).toEqual(2);
+		expect(warn.getCall(0).args[0]).toContain('data-every="soon"');
+
+		var added = document.createElement('div');
+		added.setAttribute('data-engagement-timer', 'document');
+		added.setAttribute('data-each', '10');
+		document.body.appendChild(added);
+
+		Promise.resolve().then(function() {
+
+			expect(auto.timers().length).toEqual(2);
+			expect(auto.timers()[1]._context).toBe(document);
+
+			document.body.removeChild(added);
+
+			return Promise.resolve();
+
+		}).then(function() {
+
+			expect(auto.timers().length).toEqual(1);
+
+			auto.destroy();
+
+			expect(timer.getState().destroyed).toBe(true);
+
+			done();
+
+		});
+
+	});
+
+	it ('should score each interval by the weighted events in the context', function(done) {
+
+		var nested = document.querySelector('.nested');
+		var timer = window.EngagementTimer({
+			every: [2],
+			context: nested,
+			weights: {click: 3, mousemove: 0.1},
+			sync: true
+		});
+		timer.on('interval', cb);
+		timer.start();
+
+		nested.dispatchEvent(new Event('click'));
+		nested.dispatchEvent(new Event('click'));
+		document.body.dispatchEvent(new Event('click'));
+		['mousemove', 'mousemove', 'mousemove'].forEach(function(type) {
+			nested.dispatchEvent(new Event(type));
+		});
+		clock.tick(2000);
+		nested.dispatchEvent(new Event('click'));
+		clock.tick(2000);
+
+		expect(cb.getCall(0).args[0].data.score).toEqual(6.3);
+		expect(cb.getCall(1).args[0].data.score).toEqual(3);
+		expect(cb.getCall(1).args[0].data.totalScore).toEqual(9.3);
+		expect(timer.getState().score).toEqual(9.3);
+
+		timer.destroy();
+
+		done();
+
+	});
+
+	it ('should report invalid options with their paths', function(done) {
+
+		var warn = sandbox.stub(window.console, 'warn');
+		var opts = {
+			every: [5, 'soon', 0],
+			min: 30,
+			max: 10,
+			idleAfter: -5,
+			engagementEvents: ['click', 'clik'],
+			sync: true
+		};
+
+		var paths = window.EngagementTimer.validate(opts).map(function(problem) {
+			return problem.path;
+		});
+
+		expect(paths).toEqual(['every[1]', 'every[2]', 'idleAfter', 'min', 'engagementEvents[1]']);
+		expect(window.EngagementTimer.validate({every: [5]})).toEqual([]);
+		expect(window.EngagementTimer.validate({idleAfter: 5})[0].fatal).toBe(true);
+
+		var timer = window.EngagementTimer(opts);
+
+		expect(warn.callCount).toEqual(5);
+		expect(warn.getCall(0).args[0]).toEqual('EngagementTimer: opts.every[1] should be a positive number of seconds (got "soon").');
+
+		opts.validation = 'strict';
+
+		expect(function() {
+			window.EngagementTimer(opts);
+		}).toThrowError(/^opts\.every\[1\] should be .* opts\.engagementEvents\[1\] should be an event name this browser knows \(got "clik"\)\.$/);
+
+		opts.validation = false;
+		window.EngagementTimer(opts).destroy();
+
+		expect(warn.callCount).toEqual(5);
+
+		timer.destroy();
+
+		done();
+
+	});
+
+	it ('should get engagement and visibility from an adapter instead of the page', function(done) {
+
+		var addListener = sandbox.spy(document, 'addEventListener');
+		var removeVisibility = sandbox.spy();
+		var setHidden;
+		var timer = window.EngagementTimer({
+			every: [1],
+			idleOnVisibilityChange: true,
+			adapter: Object.assign({}, window.EngagementTimer.adapters.headless, {
+				onVisibilityChange: function(handler) {
+					setHidden = handler;
+					return removeVisibility;
+				}
+			}),
+			sync: true
+		});
+		timer.on('interval', cb);
+		timer.start();
+
+		clock.tick(1000);
+		setHidden(true);
+		clock.tick(2000);
+		setHidden(false);
+		clock.tick(1000);
+
+		expect(cb.callCount).toEqual(2);
+		expect(timer.getState().hiddenTime).toEqual(2000);
+		expect(timer._context).toBe(null);
+		expect(addListener.called).toBe(false);
+
+		timer.destroy();
+
+		expect(removeVisibility.calledOnce).toBe(true);
+
+		done();
+
+	});
+
+	it ('should create, report and start a timer in one call', function(done) {
+
+		window.dataLayer = [];
+
+		var timer = window.EngagementTimer.track({
+			every: [2],
+			sync: true
+		}, 'ga4', {
+			events: ['interval'],
+			transport: 'dataLayer'
+		});
+
+		clock.tick(2001);
+
+		expect(timer.getState().running).toBe(true);
+		expect(window.dataLayer).toEqual([{
+			event: 'engagement_timer',
+			engagement_context: 'document',
+			engagement_idle_count: 0,
+			engagement_mark: 2,
+			engagement_mark_type: 'every',
+			engagement_time_msec: 2000
+		}]);
+
+		timer.destroy();
+		timer.emit('interval', {data: {time: 4, type: 'every'}});
+
+		expect(window.dataLayer.length).toEqual(1);
+		expect(function() {
+			window.EngagementTimer.track({every: [2]}, 'carrierPigeon');
+		}).toThrowError('Unknown reporter carrierPigeon');
+
+		delete window.dataLayer;
+
+		done();
+
+	});
+
+	it ('should keep path-scoped persisted state apart for each routed view', function(done) {
+
+		var storage = createStorage();
+		var location = {hash: '', hostname: 'example.com', pathname: '/a', search: ''};
+		var navigate;
+		var timer = window.EngagementTimer({
+			every: [1],
+			startTime: new Date(),
+			router: true,
+			persist: {
+				storage: storage
+			},
+			adapter: Object.assign({}, window.EngagementTimer.adapters.headless, {
+				getLocation: function() {
+					return location;
+				},
+				onNavigate: function(handler) {
+					navigate = handler;
+					return function() {};
+				}
+			})
+		});
+		timer.start();
+
+		clock.tick(2001);
+		location.pathname = '/b';
+		navigate();
+		clock.tick(1001);
+		location.pathname = '/a';
+		navigate();
+
+		expect(JSON.parse(storage.getItem('engagementTimer:/a')).trackedTime).toEqual(2001);
+		expect(JSON.parse(storage.getItem('engagementTimer:/b')).trackedTime).toEqual(1001);
+		expect(timer._trackedTime).toEqual(2001);
+
+		timer.destroy();
+
+		done();
+
+	});
+
+	it ('should report again after the page is shown and hidden again', function(done) {
+
+		var timer = window.EngagementTimer({
+			every: [1],
+			startTime: new Date()
+		});
+		var docHidden = sandbox.stub(document, 'hidden');
+		timer.on('end', cb);
+		timer.start();
+
+		clock.tick(2001);
+		docHidden.value(true);
+		document.dispatchEvent(new Event('visibilitychange'));
+		window.dispatchEvent(new Event('pagehide'));
+		clock.tick(1);
+
+		expect(cb.callCount).toEqual(1);
+
+		docHidden.value(false);
+		document.dispatchEvent(new Event('visibilitychange'));
+		clock.tick(2000);
+		docHidden.value(true);
+		document.dispatchEvent(new Event('visibilitychange'));
+		clock.tick(1);
+
+		expect(cb.callCount).toEqual(2);
+		expect(cb.getCall(1).args[0].data.time).toEqual(4);
+
+		timer.reset();
+		window.dispatchEvent(new Event('pagehide'));
+		clock.tick(1);
+
+		expect(cb.callCount).toEqual(3);
+
+		timer.destroy();
+
+		done();
+
+	});
+
+	it ('should send the end report when the timer stops at max', function(done) {
+
+		var beacon = sinon.stub().returns(true);
+		var timer = window.EngagementTimer({
+			every: [1],
+			max: 2,
+			startTime: new Date(),
+			transport: {
+				url: '/collect'
+			}
+		});
+		window.navigator.sendBeacon = beacon;
+		timer.on('end', cb);
+		timer.start();
+
+		clock.tick(3001);
+		window.dispatchEvent(new Event('pagehide'));
+		clock.tick(1);
+		delete window.navigator.sendBeacon;
+
+		expect(timer.getState().destroyed).toEqual(true);
+		expect(cb.callCount).toEqual(1);
+		expect(cb.getCall(0).args[0].data.time).toEqual(3);
+		expect(beacon.callCount).toEqual(1);
+
+		done();
+
+	});
+
+	it ('should round the marks of a fractional schedule rule to whole seconds', function(done) {
+
+		var timer = window.EngagementTimer({
+			each: [{from: 10, factor: 1.1, to: 20}]
+		});
+		timer.on('interval', cb);
+		timer.start();
+
+		clock.tick(25001);
+
+		var times = cb.getCalls().map(function(call) {
+			return call.args[0].data.time;
+		});
+
+		expect(times).toEqual([10, 11, 12, 13, 15, 16, 18, 19]);
+		expect(timer._minInterval).toEqual(1000);
+		expect(timer.getState().nextMark).toBe(null);
+
+		timer.destroy();
+
+		done();
+
+	});
+
+	it ('should work out the marks of a long schedule rule as they come due', function(done) {
+
+		var timer = window.EngagementTimer({
+			each: [{from: 1, step: 1, to: 1e8}],
+			every: [{n: 5, until: 1e9}]
+		});
+		timer.on('interval', cb);
+		timer.start();
+
+		clock.tick(5001);
+
+		expect(cb.callCount).toEqual(5);
+		expect(timer.getState().nextMark).toEqual(6);
+
+		timer.destroy();
+
+		done();
+
+	});
+
+	it ('should not send GA4 engagement time restored from an earlier page again', function(done) {
+
+		var storage = createStorage();
+		var timer = window.EngagementTimer({
+			every: [1],
+			startTime: new Date(),
+			persist: {
+				storage: storage,
+				id: 'article-1'
+			}
+		});
+		timer.start();
+		clock.tick(2001);
+		timer.pause();
+		timer.destroy();
+
+		window.dataLayer = [];
+
+		var next = window.EngagementTimer({
+			every: [1],
+			sync: true,
+			persist: {
+				storage: storage,
+				id: 'article-1'
+			}
+		});
+		window.EngagementTimer.reporters.ga4(next, {
+			transport: 'dataLayer'
+		});
+		next.start();
+
+		clock.tick(1001);
+
+		expect(window.dataLayer.length).toEqual(1);
+		expect(window.dataLayer[0].engagement_mark).toEqual(3);
+		expect(window.dataLayer[0].engagement_time_msec).toEqual(1000);
+
+		next.destroy();
+		delete window.dataLayer;
+
+		done();
+
+	});
+
+	it ('should leave idle sections alone when the group pauses', function(done) {
+
+		var group = window.EngagementTimer.group({
+			every: [1],
+			idleAfter: 2,
+			engagementEvents: ['click'],
+			sections: {
+				nested: '.nested',
+				each: '#each'
+			}
+		});
+
+		document.querySelector('.nested-every').dispatchEvent(new Event('click', {bubbles: true}));
+		clock.tick(1000);
+		document.querySelector('#each').dispatchEvent(new Event('click', {bubbles: true}));
+		clock.tick(5000);
+
+		var before = group.report();
+
+		clock.tick(20000);
+		group.pause();
+
+		expect(group.report()).toEqual(before);
+		expect(before.nested.time).toEqual(2);
+
+		group.destroy();
+
+		done();
+
+	});
+
+	it ('should start on the first engagement and throttle the rest', function(done) {
+
+		var timer = window.EngagementTimer({
+			every: [1],
+			idleAfter: 10,
+			engagementEvents: ['click']
+		});
+		var resetIdle;
+
+		document.dispatchEvent(new Event('click'));
+
+		expect(timer._running).toEqual(true);
+
+		resetIdle = sandbox.spy(timer, '_resetIdleTimeout');
+
+		for (var i = 0; i < 20; i += 1) {
+			clock.tick(100);
+			document.dispatchEvent(new Event('click'));
+		}
+		clock.tick(5000);
+
+		expect(resetIdle.callCount).toEqual(1);
+
+		timer.destroy();
+
+		done();
+
+	});
+
+	it ('should round-trip rule marks listed after a mark function', function(done) {
+
+		var timer = window.EngagementTimer({
+			each: [
+				function(last) {
+					return last + 7;
+				},
+				{from: 10, to: 100, step: 10}
+			],
+			startTime: new Date()
+		});
+		timer.start();
+		clock.tick(21500);
+		timer.pause();
+		timer.destroy();
+
+		var copy = window.EngagementTimer.fromJSON(JSON.stringify(timer));
+		copy.on('interval', cb);
+
+		expect(copy.getState().nextMark).toEqual(30);
+
+		copy.start();
+		clock.tick(9001);
+
+		expect(cb.callCount).toEqual(1);
+		expect(cb.getCall(0).args[0].data.time).toEqual(30);
+
+		copy.destroy();
+
+		done();
+
+	});
+
+	it ('should not count the partial tick again after resuming', function(done) {
+
+		var timer = window.EngagementTimer({
+			every: [30],
+			sync: true
+		});
+		timer.on('interval', cb);
+		timer.start();
+
+		clock.tick(10000);
+		timer.pause();
+		timer.start();
+		clock.tick(10000);
+		timer.pause();
+
+		expect(timer.getState().engagedTime).toEqual(20000);
+
+		timer.start();
+		clock.tick(9999);
+
+		expect(cb.callCount).toEqual(0);
+
+		clock.tick(1);
+
+		expect(cb.callCount).toEqual(1);
+		expect(timer.getState().engagedTime).toEqual(30000);
+
+		timer.destroy();
+
+		done();
+
+	});
+
+	it ('should type the marks of an every rule as every', function(done) {
+
+		var timer = window.EngagementTimer({
+			each: [{from: 3, step: 3, to: 3}],
+			every: [{n: 5, until: 20}],
+			sync: true
+		});
+		timer.on('interval', cb);
+		timer.start();
+
+		clock.tick(5001);
+
+		expect(cb.getCall(0).args[0].data).toEqual(jasmine.objectContaining({time: 3, type: 'each'}));
+		expect(cb.getCall(1).args[0].data).toEqual(jasmine.objectContaining({time: 5, type: 'every'}));
+		expect(timer.toJSON().options.every).toEqual([{n: 5, until: 20}]);
+
+		timer.destroy();
+
+		done();
+
+	});
+
+	it ('should set every timeout with opts.clock', function(done) {
+
+		var manualClock = createClock();
+		var setTimeout = sandbox.spy(manualClock, 'setTimeout');
+		var timer = window.EngagementTimer({
+			every: [1],
+			depth: [50],
+			clock: manualClock,
+			sync: true
+		});
+		timer.on('interval', function() {
+			throw new Error('handler failed');
+		});
+		timer.start();
+
+		var zeroTimeouts = setTimeout.withArgs(sinon.match.func, 0).callCount;
+
+		timer.emit('interval', {data: {time: 1}});
+		window.dispatchEvent(new Event('scroll'));
+		window.dispatchEvent(new Event('scroll'));
+
+		expect(setTimeout.withArgs(sinon.match.func, 0).callCount).toEqual(zeroTimeouts + 1);
+		expect(setTimeout.calledWith(sinon.match.func, 100)).toBe(true);
+		expect(Object.keys(clock.timers || {}).length).toEqual(0);
+
+		timer.destroy();
+
+		done();
+
+	});
+
+	it ('should not send a second heartbeat for the same time when going idle', function(done) {
+
+		var timer = window.EngagementTimer({
+			heartbeat: 10,
+			idleAfter: 3,
+			engagementEvents: ['click'],
+			sync: true
+		});
+		timer.on('heartbeat', cb);
+
+		clock.tick(2500);
+		document.dispatchEvent(new Event('click'));
+		clock.tick(5000);
+
+		expect(cb.callCount).toEqual(1);
+		expect(cb.getCall(0).args[0].data.reason).toEqual('idle');
+		expect(cb.getCall(0).args[0].data.delta).toEqual(timer.getState().engagedTime);
+		expect(timer.getState().engagedTime).toEqual(3001);
+
+		timer.destroy();
+
+		done();
+
+	});
+
 });